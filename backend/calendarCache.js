@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const repositories = require('./repositories');
+const { createCalendar, holidayAppliesTo } = require('../shared/statusEngine.js');
+
+/**
+ * In-memory calendar cache
+ * Loads every school, term rule, public holiday and event once, indexed by
+ * school, series and state, and keeps each school's engine calendar after its
+ * first use. A check is then a few Map lookups instead of four queries and a
+ * calendar build.
+ *
+ * Writes through the repositories announce what they changed
+ * (repositories/changes.js); those rows are marked stale, reloaded before the
+ * next lookup, and only the calendars that used them are rebuilt. Writes from
+ * another process (the CLI importer) can't announce themselves: call reload(),
+ * which the server does on SIGHUP.
+ */
+
+// The cache holds every year of every table
+const FIRST_DATE = '0000-01-01';
+const LAST_DATE = '9999-12-31';
+
+let loading = null;
+let refreshing = null;
+
+const schools = new Map();     // school id -> School
+const termRules = new Map();   // series id -> TermRule[]
+const holidays = new Map();    // state -> PublicHoliday[]
+const events = new Map();      // school id -> SchoolEvent[]
+const calendars = new Map();   // school id -> { calendar, fingerprint }, built on first use
+
+// Keys whose rows changed since they were loaded
+const stale = {
+    schools: new Set(),
+    termRules: new Set(),
+    holidays: new Set(),
+    events: new Set()
+};
+
+Object.keys(stale).forEach(kind => {
+    repositories.changes.on(kind, keys => keys.forEach(key => stale[kind].add(key)));
+});
+
+/**
+ * Group rows into a Map of arrays by a key
+ */
+function groupBy(rows, key) {
+    const groups = new Map();
+    rows.forEach(row => {
+        if (!groups.has(row[key])) groups.set(row[key], []);
+        groups.get(row[key]).push(row);
+    });
+    return groups;
+}
+
+/**
+ * Replace the cached rows for some keys, keeping an empty list for keys that no longer have any
+ */
+function replaceGroups(cache, keys, rows, key) {
+    const groups = groupBy(rows, key);
+    keys.forEach(id => cache.set(id, groups.get(id) || []));
+}
+
+/**
+ * Drop the built calendars of the schools a change touches
+ */
+function dropCalendars(affects) {
+    schools.forEach(school => {
+        if (affects(school)) calendars.delete(school.id);
+    });
+}
+
+async function loadAll() {
+    const allSchools = await repositories.schools.findAllSchools();
+    const seriesIds = [...new Set(allSchools.map(school => school.term_rule_series_id).filter(Boolean))];
+    const states = [...new Set(allSchools.map(school => school.state))];
+    const schoolIds = allSchools.map(school => school.id);
+
+    const rules = await repositories.termRules.findTermRules(seriesIds, 0, 9999);
+    const holidayRows = await repositories.holidays.findHolidays(states, FIRST_DATE, LAST_DATE);
+    const eventRows = await repositories.events.findEventsForSchools(schoolIds, FIRST_DATE, LAST_DATE);
+
+    [schools, termRules, holidays, events, calendars].forEach(cache => cache.clear());
+    Object.values(stale).forEach(keys => keys.clear());
+
+    allSchools.forEach(school => schools.set(school.id, school));
+    replaceGroups(termRules, seriesIds, rules, 'series_id');
+    replaceGroups(holidays, states, holidayRows, 'state');
+    replaceGroups(events, schoolIds, eventRows, 'school_id');
+
+    console.log(`✅ Calendar cache loaded (${schools.size} schools)`);
+}
+
+const hasStale = () => Object.values(stale).some(keys => keys.size > 0);
+
+/**
+ * Take the stale keys of one kind, clearing them
+ */
+function takeStale(kind) {
+    const keys = [...stale[kind]];
+    stale[kind].clear();
+    return keys;
+}
+
+async function refreshStale() {
+    const schoolIds = takeStale('schools');
+    if (schoolIds.length > 0) {
+        const rows = await repositories.schools.findSchoolsByIds(schoolIds);
+        schoolIds.forEach(id => {
+            schools.delete(id);
+            calendars.delete(id);
+        });
+        rows.forEach(school => schools.set(school.id, school));
+
+        // A new school, or one moved to another calendar or state, may need rows not loaded yet
+        rows.forEach(school => {
+            if (school.term_rule_series_id && !termRules.has(school.term_rule_series_id)) {
+                stale.termRules.add(school.term_rule_series_id);
+            }
+            if (!holidays.has(school.state)) stale.holidays.add(school.state);
+            if (!events.has(school.id)) stale.events.add(school.id);
+        });
+    }
+
+    const seriesIds = takeStale('termRules');
+    if (seriesIds.length > 0) {
+        replaceGroups(termRules, seriesIds, await repositories.termRules.findTermRules(seriesIds, 0, 9999), 'series_id');
+        dropCalendars(school => seriesIds.includes(school.term_rule_series_id));
+    }
+
+    const states = takeStale('holidays');
+    if (states.length > 0) {
+        replaceGroups(holidays, states, await repositories.holidays.findHolidays(states, FIRST_DATE, LAST_DATE), 'state');
+        dropCalendars(school => states.includes(school.state));
+    }
+
+    const eventSchoolIds = takeStale('events');
+    if (eventSchoolIds.length > 0) {
+        replaceGroups(events, eventSchoolIds, await repositories.events.findEventsForSchools(eventSchoolIds, FIRST_DATE, LAST_DATE), 'school_id');
+        eventSchoolIds.forEach(id => calendars.delete(id));
+    }
+}
+
+/**
+ * Wait until the cache is loaded and holds no stale rows
+ * Concurrent callers share the same load and refresh.
+ */
+async function ready() {
+    if (!loading) {
+        loading = loadAll().catch(error => {
+            // Let the next lookup try again
+            loading = null;
+            throw error;
+        });
+    }
+    await loading;
+
+    // A refresh in flight has already taken its stale keys, so wait for it too
+    while (refreshing || hasStale()) {
+        if (!refreshing) {
+            refreshing = refreshStale().finally(() => {
+                refreshing = null;
+            });
+        }
+        await refreshing;
+    }
+}
+
+/**
+ * Hash of the rows a calendar is built from
+ * Each list is sorted first, so rows that tie in the query's ORDER BY don't
+ * change it. Equal fingerprints mean equal calendars, in this process or another.
+ */
+function fingerprint(inputs) {
+    const canonical = Object.entries(inputs).map(([key, rows]) => [key, rows.map(row => JSON.stringify(row)).sort()]);
+    return crypto.createHash('sha1').update(JSON.stringify(canonical)).digest('hex');
+}
+
+/**
+ * Build (or reuse) one school's calendar
+ * @returns {{school: Object, calendar: Object, fingerprint: string}|{school?: Object, error: string}}
+ */
+function entryFor(schoolId) {
+    const school = schools.get(schoolId);
+    if (!school) {
+        return { error: 'School not found' };
+    }
+    if (!school.term_rule_series_id) {
+        // With the school, so a closed school can still be followed to its successor
+        return { school, error: 'No term rules configured for this school' };
+    }
+
+    if (!calendars.has(schoolId)) {
+        // The school's sector calendar with its own term boundaries on top;
+        // regional holidays only reach schools in their region
+        const inputs = {
+            termRules: termRules.get(school.term_rule_series_id) || [],
+            termOverrides: school.term_overrides,
+            holidays: (holidays.get(school.state) || []).filter(holiday => holidayAppliesTo(holiday, school)),
+            events: events.get(schoolId) || []
+        };
+        calendars.set(schoolId, { calendar: createCalendar(inputs), fingerprint: fingerprint(inputs) });
+    }
+
+    return { school, ...calendars.get(schoolId) };
+}
+
+/**
+ * Schools and their engine calendars
+ * Every calendar covers all the years the database has, so the same entry
+ * answers any date. A school that doesn't exist is an entry of its own.
+ * `fingerprint` changes whenever a row the calendar uses does.
+ *
+ * @param {string[]} schoolIds
+ * @returns {Promise<Map<string, {school: Object, calendar: Object, fingerprint: string}|{error: string}>>} - Keyed by school ID
+ */
+async function getSchoolCalendars(schoolIds) {
+    await ready();
+    return new Map(schoolIds.map(id => [id, entryFor(id)]));
+}
+
+/**
+ * Load the cache now rather than on the first lookup
+ */
+function warm() {
+    return ready();
+}
+
+/**
+ * Throw everything away and load it again, for writes the cache can't see
+ */
+function reload() {
+    loading = null;
+    return ready();
+}
+
+module.exports = {
+    getSchoolCalendars,
+    warm,
+    reload
+};
@@ -1,130 +1,30 @@
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { migrate } = require('./migrations');
+const { createStorage } = require('./storage');
 
-const DB_PATH = path.join(__dirname, 'school_status.db');
+// The storage adapter chosen by STORAGE (see storage/index.js)
+let storage = null;
 
-// Initialize database connection
-let db = null;
+// The transaction the current call runs in, if any: { connection, open }
+const currentTransaction = new AsyncLocalStorage();
 
 /**
  * Initialize database connection
+ * Opens the storage adapter named by the STORAGE environment variable (sqlite by default)
  */
-function initDatabase() {
-    return new Promise((resolve, reject) => {
-        db = new sqlite3.Database(DB_PATH, (err) => {
-            if (err) {
-                console.error('Error opening database:', err);
-                reject(err);
-            } else {
-                console.log('✅ Connected to SQLite database');
-                resolve();
-            }
-        });
-    });
-}
-
-/**
- * Create all tables (sequentially to avoid dependency issues)
- */
-function createTables() {
-    return new Promise((resolve, reject) => {
-        const queries = [
-            // Drop existing tables if they exist (in reverse dependency order)
-            `DROP TABLE IF EXISTS school_events`,
-            `DROP TABLE IF EXISTS schools`,
-            `DROP TABLE IF EXISTS public_holidays`,
-            `DROP TABLE IF EXISTS term_rules`,
-
-            // Create term_rules table (no dependencies)
-            `CREATE TABLE term_rules (
-                id TEXT PRIMARY KEY,
-                name TEXT NOT NULL,
-                year INTEGER NOT NULL,
-                state TEXT NOT NULL,
-                term_dates TEXT NOT NULL,
-                created_at TEXT DEFAULT (datetime('now')),
-                updated_at TEXT DEFAULT (datetime('now')),
-                UNIQUE(name, year, state)
-            )`,
-
-            // Create public_holidays table (no dependencies)
-            `CREATE TABLE public_holidays (
-                id TEXT PRIMARY KEY,
-                holiday_date TEXT NOT NULL,
-                name TEXT NOT NULL,
-                state TEXT NOT NULL,
-                year INTEGER NOT NULL,
-                created_at TEXT DEFAULT (datetime('now')),
-                UNIQUE(holiday_date, state)
-            )`,
-
-            // Create schools table (depends on term_rules)
-            `CREATE TABLE schools (
-                id TEXT PRIMARY KEY,
-                name TEXT NOT NULL,
-                school_type TEXT NOT NULL,
-                suburb TEXT NOT NULL,
-                postcode TEXT NOT NULL,
-                state TEXT NOT NULL,
-                term_rule_id TEXT,
-                is_active INTEGER DEFAULT 1,
-                created_at TEXT DEFAULT (datetime('now')),
-                updated_at TEXT DEFAULT (datetime('now')),
-                UNIQUE(name, suburb, postcode),
-                FOREIGN KEY (term_rule_id) REFERENCES term_rules(id)
-            )`,
-
-            // Create school_events table (depends on schools)
-            `CREATE TABLE school_events (
-                id TEXT PRIMARY KEY,
-                school_id TEXT NOT NULL,
-                event_date TEXT NOT NULL,
-                event_type TEXT NOT NULL,
-                name TEXT NOT NULL,
-                description TEXT,
-                is_closure INTEGER DEFAULT 1,
-                created_at TEXT DEFAULT (datetime('now')),
-                updated_at TEXT DEFAULT (datetime('now')),
-                FOREIGN KEY (school_id) REFERENCES schools(id) ON DELETE CASCADE
-            )`,
-
-            // Create indexes (after tables are created)
-            `CREATE INDEX idx_term_rules_year_state ON term_rules(year, state)`,
-            `CREATE INDEX idx_public_holidays_state_year ON public_holidays(state, year)`,
-            `CREATE INDEX idx_public_holidays_date ON public_holidays(holiday_date)`,
-            `CREATE INDEX idx_schools_postcode ON schools(postcode)`,
-            `CREATE INDEX idx_schools_suburb ON schools(suburb)`,
-            `CREATE INDEX idx_schools_term_rule ON schools(term_rule_id)`,
-            `CREATE INDEX idx_school_events_school_date ON school_events(school_id, event_date)`,
-            `CREATE INDEX idx_school_events_date ON school_events(event_date)`
-        ];
-
-        // Execute queries sequentially
-        let currentIndex = 0;
-        const executeNext = () => {
-            if (currentIndex >= queries.length) {
-                console.log('✅ All tables created successfully');
-                resolve();
-                return;
-            }
-
-            db.run(queries[currentIndex], (err) => {
-                if (err) {
-                    console.error(`Error executing query ${currentIndex + 1}:`, err);
-                    reject(err);
-                } else {
-                    currentIndex++;
-                    executeNext();
-                }
-            });
-        };
-
-        executeNext();
-    });
+async function initDatabase() {
+    storage = createStorage();
+    try {
+        await storage.open();
+    } catch (err) {
+        console.error('Error opening database:', err);
+        throw err;
+    }
+    console.log(`✅ Connected to ${storage.name} storage`);
 }
 
 /**
- * Generate UUID-like string for SQLite
+ * Generate UUID-like string
  */
 function generateUUID() {
     return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
@@ -135,213 +35,112 @@ function generateUUID() {
 }
 
 /**
- * Seed term rules data
+ * Initialize, migrate and seed the database
+ * Seeding is idempotent: rows that already exist are left alone, so saved
+ * households and edited events survive restarts.
  */
-function seedTermRules() {
-    return new Promise((resolve, reject) => {
-        const termRuleId = generateUUID();
-        const termDates = {
-            terms: [
-                {
-                    term: 1,
-                    start_date: "2026-01-27",
-                    end_date: "2026-04-02"
-                },
-                {
-                    term: 2,
-                    start_date: "2026-04-20",
-                    end_date: "2026-06-26"
-                },
-                {
-                    term: 3,
-                    start_date: "2026-07-13",
-                    end_date: "2026-09-18"
-                },
-                {
-                    term: 4,
-                    start_date: "2026-10-06",
-                    end_date: "2026-12-11"
-                }
-            ]
-        };
-
-        const query = `INSERT INTO term_rules (id, name, year, state, term_dates) VALUES (?, ?, ?, ?, ?)`;
-        db.run(query, [termRuleId, 'QLD State Schools 2026', 2026, 'QLD', JSON.stringify(termDates)], (err) => {
-            if (err) {
-                reject(err);
-            } else {
-                console.log('✅ Term rules seeded');
-                resolve(termRuleId);
-            }
-        });
-    });
+async function initializeDatabase() {
+    try {
+        await initDatabase();
+        await migrate({ query, run, transaction });
+        // Required here: seeding writes through the repositories, which use this module
+        await require('./seed').seedDatabase();
+        console.log('✅ Database initialization complete!');
+    } catch (error) {
+        console.error('❌ Database initialization failed:', error);
+        throw error;
+    }
 }
 
 /**
- * Seed public holidays data
+ * Get the open storage adapter
  */
-function seedPublicHolidays() {
-    return new Promise((resolve, reject) => {
-        const holidays = [
-            ['2026-01-01', "New Year's Day", 'QLD', 2026],
-            ['2026-01-26', 'Australia Day', 'QLD', 2026],
-            ['2026-04-03', 'Good Friday', 'QLD', 2026],
-            ['2026-04-04', 'Easter Saturday', 'QLD', 2026],
-            ['2026-04-06', 'Easter Monday', 'QLD', 2026],
-            ['2026-04-25', 'ANZAC Day', 'QLD', 2026],
-            ['2026-05-04', 'Labour Day', 'QLD', 2026],
-            ['2026-06-08', "King's Birthday", 'QLD', 2026],
-            ['2026-08-12', 'Royal Queensland Show (Ekka)', 'QLD', 2026],
-            ['2026-12-25', 'Christmas Day', 'QLD', 2026],
-            ['2026-12-26', 'Boxing Day', 'QLD', 2026],
-            ['2026-12-28', 'Christmas Day (Additional Day)', 'QLD', 2026]
-        ];
-
-        const query = `INSERT INTO public_holidays (id, holiday_date, name, state, year) VALUES (?, ?, ?, ?, ?)`;
-        const stmt = db.prepare(query);
-
-        holidays.forEach((holiday) => {
-            stmt.run([generateUUID(), ...holiday]);
-        });
-
-        stmt.finalize((err) => {
-            if (err) {
-                reject(err);
-            } else {
-                console.log('✅ Public holidays seeded');
-                resolve();
-            }
-        });
-    });
+function getDatabase() {
+    if (!storage) {
+        throw new Error('Database not initialized. Call initializeDatabase() first.');
+    }
+    return storage;
 }
 
 /**
- * Seed schools data
+ * Where a statement runs: the transaction the caller is in, or the storage adapter
  */
-function seedSchools(termRuleId) {
-    return new Promise((resolve, reject) => {
-        const schools = [
-            ['The Gap State School', 'State School', 'The Gap', '4061', 'QLD', termRuleId],
-            ['The Gap State High School', 'State High School', 'The Gap', '4061', 'QLD', termRuleId],
-            ['Payne Road State School', 'State School', 'The Gap', '4061', 'QLD', termRuleId],
-            ['Hilder Road State School', 'State School', 'The Gap', '4061', 'QLD', termRuleId]
-        ];
-
-        const query = `INSERT INTO schools (id, name, school_type, suburb, postcode, state, term_rule_id, is_active) VALUES (?, ?, ?, ?, ?, ?, ?, 1)`;
-        const stmt = db.prepare(query);
-
-        schools.forEach((school) => {
-            stmt.run([generateUUID(), ...school]);
-        });
-
-        stmt.finalize((err) => {
-            if (err) {
-                reject(err);
-            } else {
-                console.log('✅ Schools seeded');
-                resolve();
-            }
-        });
-    });
+function connection() {
+    const current = currentTransaction.getStore();
+    return current && current.open ? current.connection : getDatabase();
 }
 
 /**
- * Seed school events data
+ * Run some writes in one transaction, so a failure halfway leaves none of them
+ * query and run called from inside work (however deep, e.g. in the
+ * repositories) go to the transaction; statements from anywhere else never do.
+ *
+ * @param {() => Promise<*>} work
+ * @param {Object} [options]
+ * @param {boolean} [options.rollback] - Roll back even when work succeeds (for dry runs)
+ * @returns {Promise<*>} - What work resolved with
  */
-function seedSchoolEvents() {
-    return new Promise((resolve, reject) => {
-        // 1. 查找所有邮编 4061 的学校 (包含小学和高中)
-        db.all(`SELECT id FROM schools WHERE postcode = '4061'`, [], (err, rows) => {
-            if (err) {
-                reject(err);
-                return;
-            }
-
-            if (rows && rows.length > 0) {
-                // 准备插入语句
-                const query = `INSERT INTO school_events (id, school_id, event_date, event_type, name, description, is_closure) VALUES (?, ?, ?, ?, ?, ?, 1)`;
-                const stmt = db.prepare(query);
-
-                // 2. 遍历每一所学校，给它们都加上 9月4日 的假期
-                rows.forEach((row) => {
-                    stmt.run([
-                        generateUUID(),     // 生成新 ID
-                        row.id,             // 学校 ID
-                        '2026-09-04',       // 日期
-                        'Student Free Day', // 类型
-                        'Staff PD Day',     // 显示给用户的名称
-                        'Staff only - State Wide' // 描述
-                    ]);
-                });
-
-                // 3. 完成插入
-                stmt.finalize((err) => {
-                    if (err) {
-                        reject(err);
-                    } else {
-                        console.log(`✅ 已成功给 ${rows.length} 所学校添加了 9.4 假期`);
-                        resolve();
-                    }
-                });
-            } else {
-                console.log('⚠️ 没有找到学校，跳过事件插入');
-                resolve();
-            }
-        });
-    });
+async function transaction(work, options) {
+    const outer = currentTransaction.getStore();
+    if (outer && outer.open) {
+        throw new Error('Transactions can\'t nest: this is already running in one');
+    }
+    return getDatabase().transaction(
+        transactionConnection => {
+            const current = { connection: transactionConnection, open: true };
+            return currentTransaction.run(current, async () => {
+                try {
+                    return await work();
+                } finally {
+                    // Anything work left running goes back to the storage adapter
+                    current.open = false;
+                }
+            });
+        },
+        options
+    );
 }
 
 /**
- * Initialize and seed the database
+ * Run a query and resolve with all rows
  */
-async function initializeDatabase() {
+async function query(sql, params = []) {
     try {
-        await initDatabase();
-        await createTables();
-        const termRuleId = await seedTermRules();
-        await seedPublicHolidays();
-        await seedSchools(termRuleId);
-        await seedSchoolEvents();
-        console.log('✅ Database initialization complete!');
-    } catch (error) {
-        console.error('❌ Database initialization failed:', error);
-        throw error;
+        return await connection().query(sql, params);
+    } catch (err) {
+        throw new Error(`Database error: ${err.message}`);
     }
 }
 
 /**
- * Get database instance
+ * Run a write statement and resolve with the number of rows it changed
  */
-function getDatabase() {
-    if (!db) {
-        throw new Error('Database not initialized. Call initializeDatabase() first.');
+async function run(sql, params = []) {
+    try {
+        return await connection().run(sql, params);
+    } catch (err) {
+        throw new Error(`Database error: ${err.message}`);
     }
-    return db;
 }
 
 /**
  * Close database connection
  */
-function closeDatabase() {
-    return new Promise((resolve, reject) => {
-        if (db) {
-            db.close((err) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    console.log('✅ Database connection closed');
-                    resolve();
-                }
-            });
-        } else {
-            resolve();
-        }
-    });
+async function closeDatabase() {
+    if (storage) {
+        await storage.close();
+        storage = null;
+        console.log('✅ Database connection closed');
+    }
 }
 
 module.exports = {
     initializeDatabase,
     getDatabase,
-    closeDatabase
+    closeDatabase,
+    query,
+    run,
+    transaction,
+    generateUUID
 };
 
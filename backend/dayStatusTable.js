@@ -0,0 +1,231 @@
+const repositories = require('./repositories');
+const calendarCache = require('./calendarCache');
+const { addDays, getStatus } = require('../shared/statusEngine.js');
+
+/**
+ * Precomputed daily status (the school_day_status table)
+ * Every school with a calendar gets one row per day of each year it has term
+ * dates for, holding what /api/check answers for the whole school on that day.
+ * Each school's rows are stamped with the fingerprint of the calendar they were
+ * computed from (calendarCache.js); a school is rebuilt when its calendar's
+ * fingerprint changes, and its rows are only read while the two match, so a
+ * lookup never returns an answer the rows it came from no longer give.
+ *
+ * Rebuilds run in the background after the writes that cause them, one at a
+ * time. Until a school is rebuilt, its checks are evaluated from the cache.
+ */
+
+const builds = new Map();  // school id -> fingerprint of the calendar its rows came from
+let loadingBuilds = null;
+
+// Schools to check on the next pass; pendingAll means every school
+const pending = new Set();
+let pendingAll = false;
+let syncing = null;
+
+function loadBuilds() {
+    if (!loadingBuilds) {
+        loadingBuilds = repositories.dayStatus.findBuilds()
+            .then(rows => rows.forEach(row => builds.set(row.school_id, row.fingerprint)))
+            .catch(error => {
+                loadingBuilds = null;
+                throw error;
+            });
+    }
+    return loadingBuilds;
+}
+
+/**
+ * getStatus for every day of every year the calendar has term dates for
+ */
+function computeDays(calendar) {
+    const days = [];
+    [...calendar.termsByYear.keys()].sort((a, b) => a - b).forEach(year => {
+        for (let dateStr = `${year}-01-01`; dateStr <= `${year}-12-31`; dateStr = addDays(dateStr, 1)) {
+            days.push(getStatus(dateStr, calendar));
+        }
+    });
+    return days;
+}
+
+/**
+ * Rebuild the schools whose rows are missing or out of date
+ * @param {string[]|null} schoolIds - null for every school
+ * @returns {Promise<number>} - Schools rebuilt
+ */
+async function syncSchools(schoolIds) {
+    await loadBuilds();
+
+    const ids = schoolIds || (await repositories.schools.findAllSchools()).map(school => school.id);
+    // Schools that were deleted still have rows to drop
+    const known = schoolIds ? ids : [...new Set([...ids, ...builds.keys()])];
+    const entries = await calendarCache.getSchoolCalendars(known);
+    let rebuilt = 0;
+
+    for (const [schoolId, entry] of entries) {
+        if (entry.error) {
+            if (builds.has(schoolId)) {
+                builds.delete(schoolId);
+                await repositories.dayStatus.deleteDayStatuses(schoolId);
+            }
+            continue;
+        }
+        if (builds.get(schoolId) === entry.fingerprint) {
+            continue;
+        }
+
+        builds.delete(schoolId);
+        const days = computeDays(entry.calendar);
+        if (days.length === 0) {
+            await repositories.dayStatus.deleteDayStatuses(schoolId);
+            continue;
+        }
+
+        await repositories.dayStatus.replaceDayStatuses(schoolId, {
+            fingerprint: entry.fingerprint,
+            fromDate: days[0].date,
+            toDate: days[days.length - 1].date
+        }, days);
+        builds.set(schoolId, entry.fingerprint);
+        rebuilt++;
+    }
+
+    return rebuilt;
+}
+
+/**
+ * Queue schools for a rebuild check and start a pass if none is running
+ * @param {string[]|null} schoolIds - null for every school
+ * @returns {Promise<void>} - Settles when the queue is empty; failures are logged, not thrown
+ */
+function schedule(schoolIds) {
+    if (schoolIds === null) {
+        pendingAll = true;
+    } else {
+        schoolIds.forEach(id => pending.add(id));
+    }
+
+    if (!syncing) {
+        syncing = (async () => {
+            while (pendingAll || pending.size > 0) {
+                const ids = pendingAll ? null : [...pending];
+                pendingAll = false;
+                pending.clear();
+                const rebuilt = await syncSchools(ids);
+                if (rebuilt > 0) {
+                    console.log(`✅ school_day_status rebuilt for ${rebuilt} school(s)`);
+                }
+            }
+        })()
+            .catch(error => {
+                console.error('Failed to update school_day_status:', error);
+            })
+            .finally(() => {
+                syncing = null;
+                // Writes that arrived while the last pass was finishing
+                if (pendingAll || pending.size > 0) {
+                    schedule([]);
+                }
+            });
+    }
+
+    return syncing;
+}
+
+let watching = false;
+
+/**
+ * Rebuild after writes from now on
+ * A school's own rows and events only touch that school. Term rules and
+ * holidays are shared, so every school is checked; fingerprints pick out the
+ * ones that changed.
+ */
+function watchChanges() {
+    repositories.changes.on('schools', schoolIds => schedule(schoolIds));
+    repositories.changes.on('events', schoolIds => schedule(schoolIds));
+    repositories.changes.on('termRules', () => schedule(null));
+    repositories.changes.on('holidays', () => schedule(null));
+    watching = true;
+}
+
+/**
+ * Bring every school's rows up to date, e.g. on startup or after the cache is
+ * reloaded; only schools whose calendar changed since their rows were built are rebuilt
+ * The first call also starts following writes: until then (while seeding) there
+ * is nothing to keep up to date.
+ * @returns {Promise<void>}
+ */
+function syncAll() {
+    if (!watching) {
+        watchChanges();
+    }
+    return schedule(null);
+}
+
+const isCurrent = (schoolId, fingerprint) => builds.get(schoolId) === fingerprint;
+
+/**
+ * Shape a row like a getStatus result
+ */
+function toStatus(row) {
+    return {
+        date: row.status_date,
+        status: row.status,
+        reason: row.reason,
+        rule: row.rule,
+        ...(row.term !== null && { term: row.term }),
+        events: row.events,
+        nextChangeDate: row.next_change_date,
+        countdownLabel: row.countdown_label,
+        nextChangeReason: row.next_change_reason,
+        periodEnd: row.period_end,
+        closureEnd: row.closure_end
+    };
+}
+
+/**
+ * A school's precomputed status for a day
+ * @param {Object} entry - The school's calendar cache entry ({ school, fingerprint })
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<Object|null>} - Shaped like getStatus, or null when the rows can't answer
+ */
+async function findDay(entry, date) {
+    if (!isCurrent(entry.school.id, entry.fingerprint)) {
+        return null;
+    }
+    const row = await repositories.dayStatus.findDayStatus(entry.school.id, date);
+    return row ? toStatus(row) : null;
+}
+
+/**
+ * A school's precomputed statuses for a date range
+ * @param {Object} entry - The school's calendar cache entry ({ school, fingerprint })
+ * @param {string} fromDate - YYYY-MM-DD (inclusive)
+ * @param {string} toDate - YYYY-MM-DD (inclusive)
+ * @returns {Promise<Array<Object>|null>} - Shaped like evaluateRange, or null unless every day has a row
+ */
+async function findRange(entry, fromDate, toDate) {
+    if (!isCurrent(entry.school.id, entry.fingerprint)) {
+        return null;
+    }
+    const rows = await repositories.dayStatus.findDayStatusRange(entry.school.id, fromDate, toDate);
+    let expected = fromDate;
+    for (const row of rows) {
+        if (row.status_date !== expected) return null;
+        expected = addDays(expected, 1);
+    }
+    if (expected !== addDays(toDate, 1)) {
+        return null;
+    }
+
+    return rows.map(row => {
+        const { date, status, reason, rule, term, events } = toStatus(row);
+        return { date, status, reason, rule, ...(term !== undefined && { term }), events };
+    });
+}
+
+module.exports = {
+    syncAll,
+    findDay,
+    findRange
+};
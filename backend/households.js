@@ -0,0 +1,185 @@
+const { query, run, transaction, generateUUID } = require('./database');
+const { checkSchoolStatusBatch } = require('./logic');
+const repositories = require('./repositories');
+const { summarizeHousehold } = require('../shared/statusEngine.js');
+
+/**
+ * Shape a household row and its member rows for the API
+ */
+function toHousehold(row, memberRows) {
+    return {
+        id: row.id,
+        name: row.name,
+        members: memberRows.map(member => ({
+            id: member.id,
+            name: member.name,
+            schoolId: member.school_id,
+            yearLevel: member.year_level
+        }))
+    };
+}
+
+/**
+ * Check every member's school exists before anything is written
+ * @returns {Promise<string|null>} - Error message, or null when all schools exist
+ */
+async function findMissingSchool(members) {
+    const schoolIds = [...new Set(members.map(member => member.schoolId))];
+    const schools = await repositories.schools.findSchoolsByIds(schoolIds);
+    const found = new Set(schools.map(school => school.id));
+    const missing = schoolIds.find(id => !found.has(id));
+
+    return missing ? `School not found: ${missing}` : null;
+}
+
+/**
+ * Replace a household's members, keeping the order they were given in
+ */
+async function writeMembers(householdId, members) {
+    await run(`DELETE FROM household_members WHERE household_id = ?`, [householdId]);
+
+    for (const [position, member] of members.entries()) {
+        await run(
+            `INSERT INTO household_members (id, household_id, name, school_id, year_level, position)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [generateUUID(), householdId, member.name, member.schoolId, member.yearLevel ?? null, position]
+        );
+    }
+}
+
+/**
+ * List all households with their members
+ * @returns {Promise<Array<Object>>}
+ */
+async function listHouseholds() {
+    const households = await query(`SELECT id, name FROM households ORDER BY name`);
+    const members = await query(
+        `SELECT id, household_id, name, school_id, year_level FROM household_members ORDER BY household_id, position`
+    );
+
+    return households.map(row => toHousehold(row, members.filter(member => member.household_id === row.id)));
+}
+
+/**
+ * Get one household with its members
+ * @param {string} householdId - Household UUID
+ * @returns {Promise<Object|null>} - { id, name, members: [{id, name, schoolId, yearLevel}] }, or null if not found
+ */
+async function getHousehold(householdId) {
+    const [row] = await query(`SELECT id, name FROM households WHERE id = ?`, [householdId]);
+
+    if (!row) {
+        return null;
+    }
+
+    const members = await query(
+        `SELECT id, name, school_id, year_level FROM household_members WHERE household_id = ? ORDER BY position`,
+        [householdId]
+    );
+
+    return toHousehold(row, members);
+}
+
+/**
+ * Create a household
+ * @param {Object} household - { name, members: [{name, schoolId, yearLevel}] }
+ * @returns {Promise<Object>} - The saved household, or { error } if a member's school doesn't exist
+ */
+async function createHousehold({ name, members }) {
+    const missing = await findMissingSchool(members);
+    if (missing) {
+        return { error: missing };
+    }
+
+    const id = generateUUID();
+    await transaction(async () => {
+        await run(`INSERT INTO households (id, name) VALUES (?, ?)`, [id, name]);
+        await writeMembers(id, members);
+    });
+
+    return getHousehold(id);
+}
+
+/**
+ * Replace a household's name and members
+ * @param {string} householdId - Household UUID
+ * @param {Object} household - { name, members: [{name, schoolId, yearLevel}] }
+ * @returns {Promise<Object|null>} - The saved household, { error } if a member's school doesn't exist, or null if not found
+ */
+async function updateHousehold(householdId, { name, members }) {
+    const missing = await findMissingSchool(members);
+    if (missing) {
+        return { error: missing };
+    }
+
+    const found = await transaction(async () => {
+        const changes = await run(
+            `UPDATE households SET name = ?, updated_at = datetime('now') WHERE id = ?`,
+            [name, householdId]
+        );
+        if (changes > 0) {
+            await writeMembers(householdId, members);
+        }
+        return changes > 0;
+    });
+
+    return found ? getHousehold(householdId) : null;
+}
+
+/**
+ * Delete a household and its members
+ * @param {string} householdId - Household UUID
+ * @returns {Promise<boolean>} - false if the household didn't exist
+ */
+async function deleteHousehold(householdId) {
+    const changes = await transaction(async () => {
+        await run(`DELETE FROM household_members WHERE household_id = ?`, [householdId]);
+        return run(`DELETE FROM households WHERE id = ?`, [householdId]);
+    });
+
+    return changes > 0;
+}
+
+/**
+ * Answer "which kids have school?" for a household on one date
+ * Every member is checked for their own school and year level in one batch.
+ *
+ * @param {string} householdId - Household UUID
+ * @param {string} checkDate - Date in YYYY-MM-DD format
+ * @returns {Promise<Object|null>} - { id, name, date, members: [{...member, status, reason, ...}], summary }, or null if not found
+ */
+async function checkHousehold(householdId, checkDate) {
+    const household = await getHousehold(householdId);
+
+    if (!household) {
+        return null;
+    }
+
+    const results = await checkSchoolStatusBatch(household.members.map(member => ({
+        schoolId: member.schoolId,
+        date: checkDate,
+        yearLevel: member.yearLevel
+    })));
+
+    const members = household.members.map((member, i) => ({
+        ...member,
+        ...results[i]
+    }));
+
+    return {
+        id: household.id,
+        name: household.name,
+        date: checkDate,
+        members,
+        summary: summarizeHousehold(members.map(member => member.status))
+    };
+}
+
+module.exports = {
+    listHouseholds,
+    getHousehold,
+    createHousehold,
+    updateHousehold,
+    deleteHousehold,
+    checkHousehold
+};
@@ -0,0 +1,359 @@
+/**
+ * Import schools from the Queensland Department of Education school directory
+ * Reads the directory's CSV export from a local file and upserts its schools by
+ * centre code. Run: node importSchools.js <directory.csv> [--dry-run] [--changed-by=<name>]
+ */
+
+const fs = require('fs');
+const { initializeDatabase, closeDatabase, transaction } = require('./database');
+const repositories = require('./repositories');
+
+// The directory only lists Queensland schools
+const DIRECTORY_STATE = 'QLD';
+
+// Who the audit log says made the changes, unless --changed-by names someone
+const DEFAULT_ACTOR = 'import-schools';
+
+// Accepted headings for each column, compared lowercase with runs of spaces,
+// underscores and dots collapsed; exports from different years name some differently
+const COLUMNS = {
+    centreCode: ['centre code', 'centre id', 'school code'],
+    name: ['centre name', 'school name', 'name'],
+    sector: ['sector', 'school sector', 'centre sector'],
+    type: ['centre type', 'school type', 'type'],
+    suburb: ['suburb', 'street suburb', 'address suburb', 'street address suburb'],
+    postcode: ['postcode', 'street postcode', 'address postcode', 'street address postcode'],
+    region: ['region', 'education region', 'regional office'],
+    latitude: ['latitude'],
+    longitude: ['longitude']
+};
+
+const REQUIRED_COLUMNS = ['centreCode', 'name', 'sector', 'type', 'suburb', 'postcode'];
+
+// Columns compared to decide whether a school changed
+const COMPARED_COLUMNS = [
+    'name', 'school_type', 'suburb', 'postcode', 'region', 'sector', 'term_rule_series_id',
+    'centre_code', 'education_region', 'latitude', 'longitude', 'is_active'
+];
+
+// Queensland postcodes: 4000-4999, and 9000-9999 for PO boxes
+const QLD_POSTCODE = /^[49]\d{3}$/;
+
+// Postcode ranges of the regions with regional public holidays (the regions of
+// HOLIDAY_RULES.QLD in shared/holidays.js). The Ekka is a holiday in the Brisbane
+// City Council area; postcodes that straddle its boundary (4117, 4123) count as in it.
+const HOLIDAY_REGION_POSTCODES = {
+    Brisbane: [[4000, 4018], [4025, 4113], [4115, 4117], [4120, 4123], [4151, 4156], [4169, 4179]]
+};
+
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields may hold commas,
+ * newlines and doubled quotes)
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    // Strip the byte order mark Excel puts at the start of UTF-8 exports
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Blank lines (often one at the end of the file) are not rows
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+const normalizeHeading = (heading) => heading.trim().toLowerCase().replace(/[\s_.]+/g, ' ');
+
+/**
+ * Map the directory's sector to ours; it has no kindergartens
+ * @returns {string|null} - state, catholic or independent, or null if unknown
+ */
+function toSector(value) {
+    const sector = value.trim().toLowerCase();
+    if (sector.includes('catholic')) return 'catholic';
+    if (sector.includes('independent')) return 'independent';
+    if (sector === 'state' || sector === 'government' || sector === 'state school') return 'state';
+    return null;
+}
+
+/**
+ * The region whose regional public holidays a school gets, from its postcode
+ * @returns {string|null} - e.g. "Brisbane", null outside every holiday region
+ */
+function toHolidayRegion(postcode) {
+    const number = Number(postcode);
+    const [region] = Object.entries(HOLIDAY_REGION_POSTCODES)
+        .find(([, ranges]) => ranges.some(([from, to]) => number >= from && number <= to)) || [];
+    return region || null;
+}
+
+function toCoordinate(value) {
+    if (value === undefined || value.trim() === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Read the directory CSV into school records
+ * Rows that can't be used are returned in `skipped` with their line number and
+ * the reason, so one bad row doesn't stop the import.
+ *
+ * @param {string} text - CSV file contents
+ * @returns {{records: Array<Object>, skipped: Array<{line: number, centreCode: string|null, reason: string}>}}
+ */
+function readDirectory(text) {
+    const [headings, ...rows] = parseCsv(text);
+    if (!headings) {
+        throw new Error('The CSV file is empty');
+    }
+
+    const normalized = headings.map(normalizeHeading);
+    const index = {};
+    Object.entries(COLUMNS).forEach(([key, aliases]) => {
+        index[key] = normalized.findIndex(heading => aliases.includes(heading));
+    });
+
+    const missing = REQUIRED_COLUMNS.filter(key => index[key] === -1);
+    if (missing.length > 0) {
+        throw new Error(`Missing columns: ${missing.map(key => COLUMNS[key][0]).join(', ')}`);
+    }
+
+    const records = [];
+    const skipped = [];
+    const seenCodes = new Set();
+
+    rows.forEach((fields, rowIndex) => {
+        // Line 1 is the headings
+        const line = rowIndex + 2;
+        const value = key => (index[key] === -1 ? undefined : (fields[index[key]] || '').trim());
+
+        const centreCode = value('centreCode');
+        const name = value('name');
+        const sector = toSector(value('sector'));
+        const postcode = value('postcode');
+        const latitude = toCoordinate(value('latitude'));
+        const longitude = toCoordinate(value('longitude'));
+
+        let reason = null;
+        if (!centreCode) reason = 'No centre code';
+        else if (seenCodes.has(centreCode)) reason = 'Centre code appears more than once';
+        else if (!name) reason = 'No centre name';
+        else if (!sector) reason = `Unknown sector "${value('sector')}"`;
+        else if (!QLD_POSTCODE.test(postcode)) reason = `Invalid postcode "${postcode}"`;
+        else if (latitude === undefined || longitude === undefined) reason = 'Invalid coordinates';
+
+        if (reason) {
+            skipped.push({ line, centreCode: centreCode || null, reason });
+            return;
+        }
+
+        seenCodes.add(centreCode);
+        records.push({
+            centre_code: centreCode,
+            name,
+            sector,
+            school_type: value('type') || 'School',
+            suburb: value('suburb'),
+            postcode,
+            region: toHolidayRegion(postcode),
+            education_region: value('region') || null,
+            latitude,
+            longitude
+        });
+    });
+
+    return { records, skipped };
+}
+
+/**
+ * Slug for a new school's ID, e.g. "The Gap State School" -> "the-gap-state-school"
+ * Falls back to adding the centre code when another school has the slug.
+ */
+async function newSchoolId(record, takenIds) {
+    const slug = record.name.toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const taken = takenIds.has(slug) || (await repositories.schools.findSchoolsByIds([slug])).length > 0;
+    return taken ? `${slug}-${record.centre_code.toLowerCase()}` : slug;
+}
+
+/**
+ * Upsert directory records into the schools table
+ * Schools are matched by centre code. A school without one (seeded by hand) is
+ * matched once by name, suburb and postcode and takes the code from then on.
+ * Schools with a centre code that are missing from the directory are retired
+ * (is_active = 0) rather than deleted, so households keep their links; they
+ * come back if they reappear. Schools closed or merged with schoolLifecycle.js
+ * keep their is_active even while listed, and are reported in `closed`.
+ * Everything happens in one transaction.
+ *
+ * @param {Array<Object>} records - From readDirectory
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Work out the report, then roll back
+ * @param {string} [options.changedBy] - Who the audit log records for the changes
+ * @returns {Promise<{added: Array<Object>, changed: Array<Object>, retired: Array<Object>, closed: Array<Object>, unchanged: number}>}
+ */
+async function importSchools(records, { dryRun = false, changedBy = DEFAULT_ACTOR } = {}) {
+    const report = { added: [], changed: [], retired: [], closed: [], unchanged: 0 };
+
+    await transaction(async () => {
+        const existing = await repositories.schools.listSchoolsInState(DIRECTORY_STATE);
+        const byCode = new Map(existing.filter(school => school.centre_code).map(school => [school.centre_code, school]));
+        const naturalKey = school => `${school.name}|${school.suburb}|${school.postcode}`.toLowerCase();
+        const byNaturalKey = new Map(existing.filter(school => !school.centre_code).map(school => [naturalKey(school), school]));
+        const takenIds = new Set(existing.map(school => school.id));
+        const seriesIds = {};
+
+        for (const record of records) {
+            if (!(record.sector in seriesIds)) {
+                const series = await repositories.termRules.findSeriesFor(DIRECTORY_STATE, record.sector);
+                seriesIds[record.sector] = series ? series.id : null;
+            }
+            const wanted = { ...record, term_rule_series_id: seriesIds[record.sector], is_active: true };
+            const school = byCode.get(record.centre_code) || byNaturalKey.get(naturalKey(record));
+
+            if (!school) {
+                const id = await newSchoolId(record, takenIds);
+                takenIds.add(id);
+                await repositories.schools.createSchool({ id, state: DIRECTORY_STATE, ...wanted }, { changedBy });
+                report.added.push({ id, centreCode: record.centre_code, name: record.name });
+                continue;
+            }
+
+            // Closing and merging (schoolLifecycle.js) decide whether these are active,
+            // not the directory, which can list a school for a while after it closes
+            if (school.closed_on || school.successor_id) {
+                wanted.is_active = school.is_active;
+                report.closed.push({
+                    id: school.id,
+                    centreCode: record.centre_code,
+                    name: record.name,
+                    closedOn: school.closed_on,
+                    successorId: school.successor_id
+                });
+            }
+
+            const fields = COMPARED_COLUMNS.filter(column => wanted[column] !== school[column]);
+            if (fields.length === 0) {
+                report.unchanged++;
+                continue;
+            }
+
+            const changes = Object.fromEntries(fields.map(column => [column, wanted[column]]));
+            await repositories.schools.updateSchool(school.id, changes, { changedBy });
+            report.changed.push({
+                id: school.id,
+                centreCode: record.centre_code,
+                name: record.name,
+                fields: Object.fromEntries(fields.map(column => [column, { from: school[column], to: wanted[column] }]))
+            });
+        }
+
+        const listed = new Set(records.map(record => record.centre_code));
+        for (const school of existing) {
+            if (school.centre_code && school.is_active && !listed.has(school.centre_code)) {
+                await repositories.schools.updateSchool(school.id, { is_active: false }, { changedBy });
+                report.retired.push({ id: school.id, centreCode: school.centre_code, name: school.name });
+            }
+        }
+    }, { rollback: dryRun });
+
+    return report;
+}
+
+/**
+ * Print an import report
+ */
+function printReport(report, skipped, dryRun) {
+    const describe = school => `${school.name} (${school.centreCode}, id ${school.id})`;
+
+    report.added.forEach(school => console.log(`  + ${describe(school)}`));
+    report.changed.forEach(school => {
+        const fields = Object.entries(school.fields)
+            .map(([column, { from, to }]) => `${column}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`)
+            .join(', ');
+        console.log(`  ~ ${describe(school)}: ${fields}`);
+    });
+    report.retired.forEach(school => console.log(`  - ${describe(school)}`));
+    report.closed.forEach(school => console.log(
+        `  ? ${describe(school)}: listed, but closed after ${school.closedOn}` +
+        `${school.successorId ? ` and merged into ${school.successorId}` : ''}; left as it is`
+    ));
+    skipped.forEach(row => console.log(`  ! line ${row.line}${row.centreCode ? ` (${row.centreCode})` : ''}: ${row.reason}`));
+
+    console.log(
+        `${dryRun ? '🔍 Dry run: would have' : '✅'} added ${report.added.length}, changed ${report.changed.length}, ` +
+        `retired ${report.retired.length}, ${report.unchanged} unchanged, ${report.closed.length} listed but closed, ` +
+        `${skipped.length} rows skipped`
+    );
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const file = args.find(arg => !arg.startsWith('--'));
+    const changedByArg = args.find(arg => arg.startsWith('--changed-by='));
+    const changedBy = changedByArg ? changedByArg.slice('--changed-by='.length) : DEFAULT_ACTOR;
+
+    if (!file || !changedBy) {
+        console.error('Usage: node importSchools.js <directory.csv> [--dry-run] [--changed-by=<name>]');
+        process.exit(1);
+    }
+
+    try {
+        const { records, skipped } = readDirectory(fs.readFileSync(file, 'utf8'));
+        await initializeDatabase();
+        const report = await importSchools(records, { dryRun, changedBy });
+        printReport(report, skipped, dryRun);
+        await closeDatabase();
+    } catch (error) {
+        console.error('❌ Import failed:', error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    parseCsv,
+    readDirectory,
+    importSchools
+};
@@ -1,469 +1,298 @@
-const { getDatabase } = require('./database');
+const calendarCache = require('./calendarCache');
+const dayStatusTable = require('./dayStatusTable');
+const {
+    getStatus,
+    evaluateRange,
+    getTermProgress,
+    countSchoolDays
+} = require('../shared/statusEngine.js');
+
+// Longest range the calendar endpoint will evaluate in one request
+const MAX_CALENDAR_DAYS = 366;
+
+// Most school/date pairs the batch endpoint will answer in one request
+const MAX_BATCH_ITEMS = 500;
+
+// Longest chain of merges followed from a closed school to the one that answers for it
+const MAX_SUCCESSORS = 10;
+
+/**
+ * The school that answers for a school ID on a date, with its calendar
+ * A school that closed before the date and merged into another is answered
+ * for by its successor (and so on, for schools merged more than once); the
+ * entry then has `resolvedFrom`, the ID asked for. A school that closed with
+ * no successor, or hasn't opened yet, is an error.
+ *
+ * @param {string} schoolId - School ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} [entry] - The school's calendar cache entry, when already loaded
+ * @returns {Promise<{school: Object, calendar: Object, resolvedFrom?: string}|{error: string}>}
+ */
+async function resolveSchool(schoolId, date, entry = null) {
+    let loaded = entry || (await calendarCache.getSchoolCalendars([schoolId])).get(schoolId);
+
+    const mergedBefore = (school) => school && school.successor_id && school.closed_on && date > school.closed_on;
+    for (let hops = 0; mergedBefore(loaded.school); hops++) {
+        if (hops === MAX_SUCCESSORS) {
+            return { error: `Too many merges to follow from ${schoolId}` };
+        }
+        const successorId = loaded.school.successor_id;
+        loaded = (await calendarCache.getSchoolCalendars([successorId])).get(successorId);
+    }
+
+    if (!loaded.school) {
+        return loaded;
+    }
+    const { school } = loaded;
+    if (school.closed_on && date > school.closed_on) {
+        return { error: `${school.name} closed permanently after ${school.closed_on}` };
+    }
+    if (school.opened_on && date < school.opened_on) {
+        return { error: `${school.name} is not open until ${school.opened_on}` };
+    }
+    if (loaded.error) {
+        return { error: loaded.error };
+    }
+    return school.id === schoolId ? loaded : { ...loaded, resolvedFrom: schoolId };
+}
+
+/**
+ * The school ID that answered and the one asked for, when they differ
+ */
+function resolution(loaded) {
+    return loaded.resolvedFrom ? { schoolId: loaded.school.id, resolvedFrom: loaded.resolvedFrom } : {};
+}
+
+/**
+ * The precomputed status of a date from school_day_status, when it can answer
+ * The table holds whole-school answers without the rule trace, so year level
+ * and explain checks are always evaluated.
+ *
+ * @returns {Promise<Object|null>} - Shaped like getStatus
+ */
+async function findStoredStatus(checkDate, loaded, options) {
+    if (loaded.error || options.yearLevel != null || options.explain) {
+        return null;
+    }
+    return dayStatusTable.findDay(loaded, checkDate);
+}
+
+/**
+ * Evaluate one date against a loaded school calendar and shape the API answer
+ *
+ * @param {string} checkDate - Date in YYYY-MM-DD format
+ * @param {Object} loaded - { school, calendar } or { error } from the calendar cache
+ * @param {Object} options - { yearLevel, explain }
+ * @param {Object|null} [stored] - The date's precomputed status, used instead of evaluating it
+ * @returns {Object} - The /api/check response body
+ */
+function buildStatusResult(checkDate, loaded, options, stored = null) {
+    if (loaded.error) {
+        return {
+            status: 'Error',
+            reason: loaded.error
+        };
+    }
+
+    const result = stored || getStatus(checkDate, loaded.calendar, options);
+
+    if (result.status === 'Error') {
+        return {
+            status: 'Error',
+            reason: result.reason,
+            schoolName: loaded.school.name,
+            ...resolution(loaded),
+            date: checkDate,
+            ...(options.explain && { explanation: result.explanation })
+        };
+    }
+
+    return {
+        status: result.status,
+        reason: result.reason,
+        schoolName: loaded.school.name,
+        ...resolution(loaded),
+        date: checkDate,
+        yearLevel: options.yearLevel ?? null,
+        events: result.events,
+        nextChangeDate: result.nextChangeDate,
+        countdownLabel: result.countdownLabel,
+        nextChangeReason: result.nextChangeReason,
+        periodEnd: result.periodEnd,
+        closureEnd: result.closureEnd,
+        ...(options.explain && { explanation: result.explanation })
+    };
+}
 
 /**
  * Check if a school is open or closed on a specific date
- * Implements the same priority logic as the PostgreSQL function
- * 
+ * Reads the whole-school answer from school_day_status when its rows are
+ * current, otherwise evaluates the school's cached calendar with the shared status
+ * engine (shared/statusEngine.js), the same engine the frontend runs on the shared data files
+ *
  * Priority order:
  * 1. School Events (is_closure = true)
  * 2. Public Holidays
  * 3. Weekends (Saturday/Sunday)
  * 4. Term Dates (within term = open, outside = holidays)
- * 
+ *
+ * Non-closure events on the date (carnivals, exam blocks, photo days...) are
+ * listed in `events` without changing the status. Events can target year
+ * levels; pass options.yearLevel to answer for one student's cohort.
+ *
+ * A school merged into another before the date is answered for by its
+ * successor (see resolveSchool), with `schoolId` and `resolvedFrom`.
+ *
  * @param {string} checkDate - Date in YYYY-MM-DD format
- * @param {string} schoolId - School UUID
- * @returns {Promise<Object>} - { status: 'Open'|'Closed'|'Error', reason: string, schoolName?: string, date?: string }
+ * @param {string} schoolId - School ID
+ * @param {Object} [options]
+ * @param {number|null} [options.yearLevel] - Year level (0 = Prep), null for the whole school
+ * @param {boolean} [options.explain] - Include the engine's rule-by-rule trace as `explanation`
+ * @returns {Promise<Object>} - { status: 'Open'|'Closed'|'Error', reason: string, schoolName?: string, date?: string, events?: Array }
  */
-async function checkSchoolStatus(checkDate, schoolId) {
-    const db = getDatabase();
-
-    return new Promise((resolve, reject) => {
-        // ========================================================================
-        // STEP 1: Get school context (state, term_rule_id, name)
-        // ========================================================================
-        db.get(
-            `SELECT state, term_rule_id, name FROM schools WHERE id = ?`,
-            [schoolId],
-            (err, school) => {
-                if (err) {
-                    reject(new Error(`Database error: ${err.message}`));
-                    return;
-                }
-
-                if (!school) {
-                    resolve({
-                        status: 'Error',
-                        reason: 'School not found'
-                    });
-                    return;
-                }
-
-                if (!school.term_rule_id) {
-                    resolve({
-                        status: 'Error',
-                        reason: 'No term rules configured for this school'
-                    });
-                    return;
-                }
-
-                const schoolState = school.state;
-                const schoolTermRuleId = school.term_rule_id;
-                const schoolName = school.name;
-
-                // ========================================================================
-                // STEP 2: Check School Events (HIGHEST PRIORITY)
-                // ========================================================================
-                db.get(
-                    `SELECT name, event_type, is_closure 
-                     FROM school_events 
-                     WHERE school_id = ? AND event_date = ? AND is_closure = 1 
-                     LIMIT 1`,
-                    [schoolId, checkDate],
-                    (err, event) => {
-                        if (err) {
-                            reject(new Error(`Database error: ${err.message}`));
-                            return;
-                        }
-
-                        if (event) {
-                            // Get next change date
-                            findNextChangeDate(checkDate, schoolId, schoolState, schoolTermRuleId, 'Closed')
-                                .then(nextChange => {
-                                    resolve({
-                                        status: 'Closed',
-                                        reason: event.name,
-                                        schoolName: schoolName,
-                                        date: checkDate,
-                                        nextChangeDate: nextChange.date,
-                                        countdownLabel: nextChange.label,
-                                        nextChangeReason: nextChange.reason
-                                    });
-                                })
-                                .catch(reject);
-                            return;
-                        }
-
-                        // ========================================================================
-                        // STEP 3: Check Public Holidays
-                        // ========================================================================
-                        db.get(
-                            `SELECT name 
-                             FROM public_holidays 
-                             WHERE holiday_date = ? AND state = ? 
-                             LIMIT 1`,
-                            [checkDate, schoolState],
-                            (err, holiday) => {
-                                if (err) {
-                                    reject(new Error(`Database error: ${err.message}`));
-                                    return;
-                                }
-
-                                if (holiday) {
-                                    // Get next change date
-                                    findNextChangeDate(checkDate, schoolId, schoolState, schoolTermRuleId, 'Closed')
-                                        .then(nextChange => {
-                                            resolve({
-                                                status: 'Closed',
-                                                reason: holiday.name,
-                                                schoolName: schoolName,
-                                                date: checkDate,
-                                                nextChangeDate: nextChange.date,
-                                                countdownLabel: nextChange.label,
-                                                nextChangeReason: nextChange.reason
-                                            });
-                                        })
-                                        .catch(reject);
-                                    return;
-                                }
-
-                                // ========================================================================
-                                // STEP 4: Check Weekends
-                                // ========================================================================
-                                const dateObj = new Date(checkDate + 'T00:00:00');
-                                const dayOfWeek = dateObj.getDay(); // 0=Sunday, 6=Saturday
-
-                                if (dayOfWeek === 0 || dayOfWeek === 6) {
-                                    // Get next change date
-                                    findNextChangeDate(checkDate, schoolId, schoolState, schoolTermRuleId, 'Closed')
-                                        .then(nextChange => {
-                                            resolve({
-                                                status: 'Closed',
-                                                reason: dayOfWeek === 0 ? 'Sunday' : 'Saturday',
-                                                schoolName: schoolName,
-                                                date: checkDate,
-                                                nextChangeDate: nextChange.date,
-                                                countdownLabel: nextChange.label,
-                                                nextChangeReason: nextChange.reason
-                                            });
-                                        })
-                                        .catch(reject);
-                                    return;
-                                }
-
-                                // ========================================================================
-                                // STEP 5: Check Term Dates
-                                // ========================================================================
-                                db.get(
-                                    `SELECT term_dates FROM term_rules WHERE id = ?`,
-                                    [schoolTermRuleId],
-                                    (err, termRule) => {
-                                        if (err) {
-                                            reject(new Error(`Database error: ${err.message}`));
-                                            return;
-                                        }
-
-                                        if (!termRule || !termRule.term_dates) {
-                                            resolve({
-                                                status: 'Error',
-                                                reason: 'Term dates not configured',
-                                                schoolName: schoolName,
-                                                date: checkDate
-                                            });
-                                            return;
-                                        }
-
-                                        // Parse JSON term dates
-                                        let termDates;
-                                        try {
-                                            termDates = JSON.parse(termRule.term_dates);
-                                        } catch (parseErr) {
-                                            reject(new Error(`Failed to parse term dates: ${parseErr.message}`));
-                                            return;
-                                        }
-
-                                        // Check if checkDate falls within any term
-                                        // Compare date strings directly (YYYY-MM-DD format) to avoid timezone issues
-                                        if (termDates.terms && Array.isArray(termDates.terms)) {
-                                            for (const term of termDates.terms) {
-                                                // Direct string comparison works for YYYY-MM-DD format
-                                                if (checkDate >= term.start_date && checkDate <= term.end_date) {
-                                                    // Get next change date
-                                                    findNextChangeDate(checkDate, schoolId, schoolState, schoolTermRuleId, 'Open')
-                                                        .then(nextChange => {
-                                                            resolve({
-                                                                status: 'Open',
-                                                                reason: `Term ${term.term}`,
-                                                                schoolName: schoolName,
-                                                                date: checkDate,
-                                                                nextChangeDate: nextChange.date,
-                                                                countdownLabel: nextChange.label,
-                                                                nextChangeReason: nextChange.reason
-                                                            });
-                                                        })
-                                                        .catch(reject);
-                                                    return;
-                                                }
-                                            }
-                                        }
-
-                                        // ========================================================================
-                                        // STEP 6: Fallback - Outside all terms = School Holidays
-                                        // ========================================================================
-                                        // Get next change date
-                                        findNextChangeDate(checkDate, schoolId, schoolState, schoolTermRuleId, 'Closed')
-                                            .then(nextChange => {
-                                                resolve({
-                                                    status: 'Closed',
-                                                    reason: 'School Holidays',
-                                                    schoolName: schoolName,
-                                                    date: checkDate,
-                                                    nextChangeDate: nextChange.date,
-                                                    countdownLabel: nextChange.label,
-                                                    nextChangeReason: nextChange.reason
-                                                });
-                                            })
-                                            .catch(reject);
-                                    }
-                                );
-                            }
-                        );
-                    }
-                );
-            }
-        );
-    });
+async function checkSchoolStatus(checkDate, schoolId, options = {}) {
+    const loaded = await resolveSchool(schoolId, checkDate);
+    const stored = await findStoredStatus(checkDate, loaded, options);
+
+    return buildStatusResult(checkDate, loaded, options, stored);
 }
 
 /**
- * Find the next date when the school status changes
- * @param {string} startDate - Starting date in YYYY-MM-DD format
- * @param {string} schoolId - School UUID
- * @param {string} schoolState - School state (e.g., 'QLD')
- * @param {string} schoolTermRuleId - Term rule ID
- * @param {string} currentStatus - Current status ('Open' or 'Closed')
- * @returns {Promise<{date: string, label: string}>}
+ * Check many school/date pairs at once
+ * Every item is evaluated against its school's cached calendar, resolved for
+ * the item's date. Items fail on their own (unknown school, year without
+ * term dates) with an `Error` status instead of failing the whole batch.
+ *
+ * @param {Array<{schoolId: string, date: string, yearLevel?: number|null, explain?: boolean}>} items
+ * @returns {Promise<Array<Object>>} - One /api/check answer per item, in order, each with its schoolId
  */
-async function findNextChangeDate(startDate, schoolId, schoolState, schoolTermRuleId, currentStatus) {
-    const db = getDatabase();
-    const maxDays = 60; // Limit look-ahead to 60 days
-    const targetStatus = currentStatus === 'Open' ? 'Closed' : 'Open';
-
-    return new Promise((resolve, reject) => {
-        // Helper function to check status of a specific date
-        const checkDateStatus = (dateStr) => {
-            return new Promise((resolveCheck, rejectCheck) => {
-                const dateObj = new Date(dateStr + 'T00:00:00');
-                const dayOfWeek = dateObj.getDay();
-
-                // Check weekends first (fast check)
-                if (dayOfWeek === 0 || dayOfWeek === 6) {
-                    resolveCheck('Closed');
-                    return;
-                }
-
-                // Check school events
-                db.get(
-                    `SELECT name, is_closure FROM school_events 
-                     WHERE school_id = ? AND event_date = ? AND is_closure = 1 
-                     LIMIT 1`,
-                    [schoolId, dateStr],
-                    (err, event) => {
-                        if (err) {
-                            rejectCheck(err);
-                            return;
-                        }
-                        if (event) {
-                            resolveCheck('Closed');
-                            return;
-                        }
-
-                        // Check public holidays
-                        db.get(
-                            `SELECT name FROM public_holidays 
-                             WHERE holiday_date = ? AND state = ? 
-                             LIMIT 1`,
-                            [dateStr, schoolState],
-                            (err, holiday) => {
-                                if (err) {
-                                    rejectCheck(err);
-                                    return;
-                                }
-                                if (holiday) {
-                                    resolveCheck('Closed');
-                                    return;
-                                }
-
-                                // Check term dates
-                                db.get(
-                                    `SELECT term_dates FROM term_rules WHERE id = ?`,
-                                    [schoolTermRuleId],
-                                    (err, termRule) => {
-                                        if (err) {
-                                            rejectCheck(err);
-                                            return;
-                                        }
-
-                                        if (!termRule || !termRule.term_dates) {
-                                            resolveCheck('Closed');
-                                            return;
-                                        }
-
-                                        try {
-                                            const termDates = JSON.parse(termRule.term_dates);
-                                            if (termDates.terms && Array.isArray(termDates.terms)) {
-                                                for (const term of termDates.terms) {
-                                                    if (dateStr >= term.start_date && dateStr <= term.end_date) {
-                                                        resolveCheck('Open');
-                                                        return;
-                                                    }
-                                                }
-                                            }
-                                            resolveCheck('Closed');
-                                        } catch (parseErr) {
-                                            resolveCheck('Closed');
-                                        }
-                                    }
-                                );
-                            }
-                        );
-                    }
-                );
-            });
-        };
-
-        // Helper function to add days to a date string
-        const addDays = (dateStr, days) => {
-            const date = new Date(dateStr + 'T00:00:00');
-            date.setDate(date.getDate() + days);
-            const year = date.getFullYear();
-            const month = String(date.getMonth() + 1).padStart(2, '0');
-            const day = String(date.getDate()).padStart(2, '0');
-            return `${year}-${month}-${day}`;
-        };
+async function checkSchoolStatusBatch(items) {
+    if (items.length === 0) {
+        return [];
+    }
+
+    const entries = await calendarCache.getSchoolCalendars([...new Set(items.map(item => item.schoolId))]);
+
+    const answers = [];
+    for (const item of items) {
+        const loaded = await resolveSchool(item.schoolId, item.date, entries.get(item.schoolId));
+        answers.push({
+            schoolId: item.schoolId,
+            date: item.date,
+            ...buildStatusResult(item.date, loaded, {
+                yearLevel: item.yearLevel,
+                explain: item.explain
+            })
+        });
+    }
+    return answers;
+}
 
-        // Iterate day by day to find next change
-        let daysChecked = 0;
-
-        const checkNext = () => {
-            if (daysChecked >= maxDays) {
-                // No change found within 60 days
-                resolve({
-                    date: null,
-                    label: null,
-                    reason: null
-                });
-                return;
-            }
-
-            daysChecked++;
-            const currentCheckDate = addDays(startDate, daysChecked);
-
-            checkDateStatus(currentCheckDate)
-                .then(status => {
-                    if (status === targetStatus) {
-                        // Found the next change date
-                        // Get reason for the label
-                        getReasonForDate(currentCheckDate, schoolId, schoolState, schoolTermRuleId, targetStatus)
-                            .then(reason => {
-                                const label = currentStatus === 'Open' 
-                                    ? `Holidays start in...` 
-                                    : `School starts in...`;
-                                
-                                resolve({
-                                    date: currentCheckDate,
-                                    label: label,
-                                    reason: reason
-                                });
-                            })
-                            .catch(() => {
-                                // If getting reason fails, still return the date
-                                const label = currentStatus === 'Open' 
-                                    ? `Holidays start in...` 
-                                    : `School starts in...`;
-                                resolve({
-                                    date: currentCheckDate,
-                                    label: label,
-                                    reason: null
-                                });
-                            });
-                    } else {
-                        // Continue checking next day
-                        checkNext();
-                    }
-                })
-                .catch(() => {
-                    // On error, continue checking
-                    checkNext();
-                });
-        };
+/**
+ * Get the status of a school for every day in a date range
+ * Whole-school ranges come from school_day_status when every day has a
+ * current row; otherwise each day is evaluated against the school's cached
+ * calendar with the shared status engine. The school is resolved for fromDate.
+ *
+ * @param {string} schoolId - School ID
+ * @param {string} fromDate - First date in YYYY-MM-DD format (inclusive)
+ * @param {string} toDate - Last date in YYYY-MM-DD format (inclusive)
+ * @param {Object} [options] - { yearLevel }
+ * @returns {Promise<Object>} - { schoolName, from, to, days: [{date, status, reason, rule}] } or { status: 'Error', reason }
+ */
+async function getSchoolCalendar(schoolId, fromDate, toDate, options = {}) {
+    const loaded = await resolveSchool(schoolId, fromDate);
+
+    if (loaded.error) {
+        return { status: 'Error', reason: loaded.error };
+    }
+
+    // The table only holds whole-school answers
+    const stored = options.yearLevel == null ? await dayStatusTable.findRange(loaded, fromDate, toDate) : null;
+
+    return {
+        schoolName: loaded.school.name,
+        ...resolution(loaded),
+        from: fromDate,
+        to: toDate,
+        days: stored || evaluateRange(fromDate, toDate, loaded.calendar, options)
+    };
+}
 
-        checkNext();
-    });
+/**
+ * Term progress for a school on a date: "week N of Term X" and school days
+ * elapsed and remaining in the term and the school year
+ *
+ * @param {string} schoolId - School ID
+ * @param {string} checkDate - Date in YYYY-MM-DD format
+ * @param {Object} [options] - { yearLevel }
+ * @returns {Promise<Object>} - { schoolName, yearLevel, ...getTermProgress result } or { status: 'Error', reason }
+ */
+async function getSchoolTermProgress(schoolId, checkDate, options = {}) {
+    const year = checkDate.slice(0, 4);
+    const loaded = await resolveSchool(schoolId, checkDate);
+
+    if (loaded.error) {
+        return { status: 'Error', reason: loaded.error };
+    }
+
+    const progress = getTermProgress(checkDate, loaded.calendar, options);
+
+    if (!progress) {
+        return { status: 'Error', reason: `Term dates not configured for ${year}` };
+    }
+
+    return {
+        schoolName: loaded.school.name,
+        ...resolution(loaded),
+        yearLevel: options.yearLevel ?? null,
+        ...progress
+    };
 }
 
 /**
- * Get the reason for a specific date's status
+ * Count the school days between two dates (inclusive) for a school
+ * The school is resolved for fromDate.
+ *
+ * @param {string} schoolId - School ID
+ * @param {string} fromDate - First date in YYYY-MM-DD format (inclusive)
+ * @param {string} toDate - Last date in YYYY-MM-DD format (inclusive)
+ * @param {Object} [options] - { yearLevel }
+ * @returns {Promise<Object>} - { schoolName, from, to, yearLevel, schoolDays } or { status: 'Error', reason }
  */
-function getReasonForDate(dateStr, schoolId, schoolState, schoolTermRuleId, status) {
-    const db = getDatabase();
-    
-    return new Promise((resolve) => {
-        if (status === 'Closed') {
-            // Check for school events
-            db.get(
-                `SELECT name FROM school_events 
-                 WHERE school_id = ? AND event_date = ? AND is_closure = 1 
-                 LIMIT 1`,
-                [schoolId, dateStr],
-                (err, event) => {
-                    if (event) {
-                        resolve(event.name);
-                        return;
-                    }
-
-                    // Check public holidays
-                    db.get(
-                        `SELECT name FROM public_holidays 
-                         WHERE holiday_date = ? AND state = ? 
-                         LIMIT 1`,
-                        [dateStr, schoolState],
-                        (err, holiday) => {
-                            if (holiday) {
-                                resolve(holiday.name);
-                                return;
-                            }
-
-                            // Check weekend
-                            const dateObj = new Date(dateStr + 'T00:00:00');
-                            const dayOfWeek = dateObj.getDay();
-                            if (dayOfWeek === 0 || dayOfWeek === 6) {
-                                resolve(dayOfWeek === 0 ? 'Sunday' : 'Saturday');
-                                return;
-                            }
-
-                            resolve('School Holidays');
-                        }
-                    );
-                }
-            );
-        } else {
-            // For Open status, get term info
-            db.get(
-                `SELECT term_dates FROM term_rules WHERE id = ?`,
-                [schoolTermRuleId],
-                (err, termRule) => {
-                    if (termRule && termRule.term_dates) {
-                        try {
-                            const termDates = JSON.parse(termRule.term_dates);
-                            if (termDates.terms && Array.isArray(termDates.terms)) {
-                                for (const term of termDates.terms) {
-                                    if (dateStr >= term.start_date && dateStr <= term.end_date) {
-                                        resolve(`Term ${term.term}`);
-                                        return;
-                                    }
-                                }
-                            }
-                        } catch (e) {
-                            // Ignore parse errors
-                        }
-                    }
-                    resolve('School Day');
-                }
-            );
-        }
-    });
+async function countSchoolDaysBetween(schoolId, fromDate, toDate, options = {}) {
+    const loaded = await resolveSchool(schoolId, fromDate);
+
+    if (loaded.error) {
+        return { status: 'Error', reason: loaded.error };
+    }
+
+    const schoolDays = countSchoolDays(fromDate, toDate, loaded.calendar, options);
+
+    if (schoolDays === null) {
+        return {
+            status: 'Error',
+            reason: `Term dates not configured for every year from ${fromDate.slice(0, 4)} to ${toDate.slice(0, 4)}`
+        };
+    }
+
+    return {
+        schoolName: loaded.school.name,
+        ...resolution(loaded),
+        from: fromDate,
+        to: toDate,
+        yearLevel: options.yearLevel ?? null,
+        schoolDays
+    };
 }
 
 module.exports = {
-    checkSchoolStatus
+    resolveSchool,
+    checkSchoolStatus,
+    checkSchoolStatusBatch,
+    getSchoolCalendar,
+    getSchoolTermProgress,
+    countSchoolDaysBetween,
+    MAX_CALENDAR_DAYS,
+    MAX_BATCH_ITEMS
 };
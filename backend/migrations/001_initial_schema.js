@@ -0,0 +1,141 @@
+/**
+ * 001 - Initial schema
+ * The tables as they stood when migrations were introduced. Databases created
+ * before that were dropped and reseeded on every boot, so they only ever held
+ * seed data: their tables are dropped here and rebuilt, and the seed fills them again.
+ */
+
+module.exports = {
+    name: 'initial schema',
+    up: [
+        // Tables left by the old drop-and-reseed startup (in reverse dependency order)
+        `DROP TABLE IF EXISTS household_members`,
+        `DROP TABLE IF EXISTS households`,
+        `DROP TABLE IF EXISTS school_events`,
+        `DROP TABLE IF EXISTS schools`,
+        `DROP TABLE IF EXISTS public_holidays`,
+        `DROP TABLE IF EXISTS term_rules`,
+        `DROP TABLE IF EXISTS term_rule_series`,
+
+        // Create term_rule_series table (no dependencies)
+        // A series groups the yearly term_rules of one calendar, e.g. "QLD State Schools"
+        // sector: state, catholic, independent or kindy
+        `CREATE TABLE term_rule_series (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            state TEXT NOT NULL,
+            sector TEXT NOT NULL DEFAULT 'state',
+            created_at TEXT DEFAULT (datetime('now')),
+            updated_at TEXT DEFAULT (datetime('now')),
+            UNIQUE(name, state)
+        )`,
+
+        // Create term_rules table (depends on term_rule_series)
+        `CREATE TABLE term_rules (
+            id TEXT PRIMARY KEY,
+            series_id TEXT NOT NULL,
+            name TEXT NOT NULL,
+            year INTEGER NOT NULL,
+            state TEXT NOT NULL,
+            sector TEXT NOT NULL DEFAULT 'state',
+            term_dates TEXT NOT NULL,
+            created_at TEXT DEFAULT (datetime('now')),
+            updated_at TEXT DEFAULT (datetime('now')),
+            UNIQUE(name, year, state),
+            UNIQUE(series_id, year),
+            FOREIGN KEY (series_id) REFERENCES term_rule_series(id)
+        )`,
+
+        // Create public_holidays table (no dependencies)
+        // region NULL = the whole state; otherwise only schools in that region (e.g. the Ekka in Brisbane)
+        // substitute 'weekend'/'sunday' = observed on the next free weekday when it falls on one; holiday_date stays the gazetted date
+        `CREATE TABLE public_holidays (
+            id TEXT PRIMARY KEY,
+            holiday_date TEXT NOT NULL,
+            name TEXT NOT NULL,
+            state TEXT NOT NULL,
+            region TEXT,
+            substitute TEXT,
+            year INTEGER NOT NULL,
+            created_at TEXT DEFAULT (datetime('now'))
+        )`,
+
+        // Create schools table (depends on term_rule_series)
+        // term_rule_series_id is the sector calendar; term_overrides (JSON array of
+        // { year, term, start_date?, end_date? }) moves this school's own term boundaries
+        `CREATE TABLE schools (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            school_type TEXT NOT NULL,
+            suburb TEXT NOT NULL,
+            postcode TEXT NOT NULL,
+            state TEXT NOT NULL,
+            region TEXT,
+            sector TEXT NOT NULL DEFAULT 'state',
+            term_rule_series_id TEXT,
+            term_overrides TEXT,
+            is_active INTEGER DEFAULT 1,
+            created_at TEXT DEFAULT (datetime('now')),
+            updated_at TEXT DEFAULT (datetime('now')),
+            UNIQUE(name, suburb, postcode),
+            FOREIGN KEY (term_rule_series_id) REFERENCES term_rule_series(id)
+        )`,
+
+        // Create school_events table (depends on schools)
+        `CREATE TABLE school_events (
+            id TEXT PRIMARY KEY,
+            school_id TEXT NOT NULL,
+            event_date TEXT NOT NULL,
+            end_date TEXT CHECK (end_date IS NULL OR end_date >= event_date),
+            event_type TEXT NOT NULL,
+            name TEXT NOT NULL,
+            description TEXT,
+            is_closure INTEGER DEFAULT 1,
+            year_levels TEXT,
+            rrule TEXT,
+            exdates TEXT,
+            created_at TEXT DEFAULT (datetime('now')),
+            updated_at TEXT DEFAULT (datetime('now')),
+            FOREIGN KEY (school_id) REFERENCES schools(id) ON DELETE CASCADE
+        )`,
+
+        // Create households table (no dependencies)
+        // A household is a family's saved list of children, checked together
+        `CREATE TABLE households (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            created_at TEXT DEFAULT (datetime('now')),
+            updated_at TEXT DEFAULT (datetime('now'))
+        )`,
+
+        // Create household_members table (depends on households and schools)
+        // year_level is 0 for Prep, NULL when the child's cohort doesn't matter
+        `CREATE TABLE household_members (
+            id TEXT PRIMARY KEY,
+            household_id TEXT NOT NULL,
+            name TEXT NOT NULL,
+            school_id TEXT NOT NULL,
+            year_level INTEGER,
+            position INTEGER NOT NULL DEFAULT 0,
+            created_at TEXT DEFAULT (datetime('now')),
+            FOREIGN KEY (household_id) REFERENCES households(id) ON DELETE CASCADE,
+            FOREIGN KEY (school_id) REFERENCES schools(id)
+        )`,
+
+        // Create indexes (after tables are created)
+        `CREATE INDEX idx_term_rules_year_state ON term_rules(year, state)`,
+        `CREATE INDEX idx_term_rules_series_year ON term_rules(series_id, year)`,
+        `CREATE INDEX idx_public_holidays_state_year ON public_holidays(state, year)`,
+        `CREATE INDEX idx_public_holidays_date ON public_holidays(holiday_date)`,
+        `CREATE UNIQUE INDEX idx_public_holidays_unique ON public_holidays(holiday_date, state, COALESCE(region, ''))`,
+        `CREATE INDEX idx_schools_postcode ON schools(postcode)`,
+        `CREATE INDEX idx_schools_suburb ON schools(suburb)`,
+        `CREATE INDEX idx_schools_term_rule_series ON schools(term_rule_series_id)`,
+        `CREATE INDEX idx_school_events_school_date ON school_events(school_id, event_date)`,
+        `CREATE INDEX idx_school_events_date ON school_events(event_date)`,
+        `CREATE INDEX idx_household_members_household ON household_members(household_id, position)`,
+
+        // Seeding inserts events with INSERT OR IGNORE, so the same event can't be added twice
+        `CREATE UNIQUE INDEX idx_school_events_unique ON school_events(school_id, event_date, name)`
+    ]
+};
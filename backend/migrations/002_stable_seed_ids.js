@@ -0,0 +1,66 @@
+/**
+ * 002 - Stable seed IDs
+ * Seed rows used to get random UUIDs on every database; they now use the slug
+ * IDs from shared/data, the same ones the frontend uses. Existing rows are
+ * re-keyed in place (matched by name, as they were seeded at this version) so
+ * saved households keep pointing at their schools. School events only ever
+ * held seed rows, so they are cleared and the seed adds them back.
+ */
+
+// Frozen at this version: later renames in shared/data must not change what this migrates
+const SERIES_IDS = {
+    'QLD State Schools': 'qld-state',
+    'Brisbane Catholic Schools': 'qld-catholic',
+    'QLD Independent Schools': 'qld-independent',
+    'C&K Kindergartens': 'qld-kindy',
+    'NSW Public Schools': 'nsw-state',
+    'VIC Government Schools': 'vic-state',
+    'SA Public Schools': 'sa-state',
+    'WA Public Schools': 'wa-state',
+    'TAS Government Schools': 'tas-state',
+    'NT Government Schools': 'nt-state',
+    'ACT Public Schools': 'act-state'
+};
+
+const SCHOOL_IDS = {
+    'The Gap State School': 'gap-state-school',
+    'The Gap State High School': 'gap-state-high',
+    'Payne Road State School': 'payne-road-state-school',
+    'Hilder Road State School': 'hilder-road-state-school',
+    'St Peter Chanel Primary School': 'st-peter-chanel-primary-school',
+    'C&K The Gap Community Kindergarten': 'ck-the-gap-kindergarten',
+    'C&K Hilder Road Community Kindergarten': 'ck-hilder-road-kindergarten',
+    'Bondi Public School': 'bondi-public-school',
+    'Carlton North Primary School': 'carlton-north-primary-school',
+    'Unley Primary School': 'unley-primary-school',
+    'Subiaco Primary School': 'subiaco-primary-school',
+    'Lenah Valley Primary School': 'lenah-valley-primary-school',
+    'Parap Primary School': 'parap-primary-school',
+    'Turner School': 'turner-school'
+};
+
+module.exports = {
+    name: 'stable seed ids',
+    up: async ({ query, run }) => {
+        await run(`DELETE FROM school_events`);
+
+        for (const series of await query(`SELECT id, name FROM term_rule_series`)) {
+            const id = SERIES_IDS[series.name];
+            if (!id || id === series.id) continue;
+            await run(`UPDATE term_rule_series SET id = ? WHERE id = ?`, [id, series.id]);
+            await run(`UPDATE term_rules SET series_id = ? WHERE series_id = ?`, [id, series.id]);
+            await run(`UPDATE schools SET term_rule_series_id = ? WHERE term_rule_series_id = ?`, [id, series.id]);
+        }
+        await run(`UPDATE term_rules SET id = series_id || '-' || year`);
+
+        for (const school of await query(`SELECT id, name FROM schools`)) {
+            const id = SCHOOL_IDS[school.name];
+            if (!id || id === school.id) continue;
+            await run(`UPDATE schools SET id = ? WHERE id = ?`, [id, school.id]);
+            await run(`UPDATE household_members SET school_id = ? WHERE school_id = ?`, [id, school.id]);
+        }
+
+        // Same IDs as seedPublicHolidays gives new rows, e.g. "qld-2026-08-12-brisbane"
+        await run(`UPDATE public_holidays SET id = replace(lower(state || '-' || holiday_date || COALESCE('-' || region, '')), ' ', '-')`);
+    }
+};
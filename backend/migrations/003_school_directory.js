@@ -0,0 +1,17 @@
+/**
+ * 003 - School directory columns
+ * Schools imported from the Department of Education school directory keep its
+ * centre code (the key the importer upserts by), education region and location.
+ */
+
+module.exports = {
+    name: 'school directory',
+    up: [
+        `ALTER TABLE schools ADD COLUMN centre_code TEXT`,
+        // The department's region ("Metropolitan"), not the holiday region in schools.region ("Brisbane")
+        `ALTER TABLE schools ADD COLUMN education_region TEXT`,
+        `ALTER TABLE schools ADD COLUMN latitude REAL`,
+        `ALTER TABLE schools ADD COLUMN longitude REAL`,
+        `CREATE UNIQUE INDEX idx_schools_centre_code ON schools(centre_code) WHERE centre_code IS NOT NULL`
+    ]
+};
@@ -0,0 +1,39 @@
+/**
+ * 004 - Precomputed daily status
+ * One row per school per day with what the status engine answers for the
+ * whole school, so checks and ranges can be read straight from an index.
+ * school_day_status_builds records which version of a school's calendar the
+ * rows were computed from.
+ */
+
+module.exports = {
+    name: 'school day status',
+    up: [
+        `CREATE TABLE school_day_status (
+            school_id TEXT NOT NULL,
+            status_date TEXT NOT NULL,
+            status TEXT NOT NULL,
+            reason TEXT NOT NULL,
+            rule TEXT NOT NULL,
+            term INTEGER,
+            events TEXT NOT NULL DEFAULT '[]',
+            next_change_date TEXT,
+            countdown_label TEXT,
+            next_change_reason TEXT,
+            period_end TEXT,
+            closure_end TEXT,
+            computed_at TEXT NOT NULL,
+            PRIMARY KEY (school_id, status_date),
+            FOREIGN KEY (school_id) REFERENCES schools(id) ON DELETE CASCADE
+        )`,
+        `CREATE INDEX idx_school_day_status_date ON school_day_status(status_date)`,
+        `CREATE TABLE school_day_status_builds (
+            school_id TEXT PRIMARY KEY,
+            fingerprint TEXT NOT NULL,
+            from_date TEXT NOT NULL,
+            to_date TEXT NOT NULL,
+            built_at TEXT NOT NULL,
+            FOREIGN KEY (school_id) REFERENCES schools(id) ON DELETE CASCADE
+        )`
+    ]
+};
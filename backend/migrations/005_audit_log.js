@@ -0,0 +1,32 @@
+/**
+ * 005 - Audit log
+ * Before and after values of every write to the calendar tables, with who made
+ * it. school_id, series_id and state say what the row affects, so the changes
+ * behind one school's answers can be found without reading the JSON.
+ */
+
+module.exports = {
+    name: 'audit log',
+    up: [
+        `CREATE TABLE audit_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            table_name TEXT NOT NULL,
+            record_id TEXT NOT NULL,
+            action TEXT NOT NULL CHECK (action IN ('insert', 'update', 'delete')),
+            before_values TEXT,
+            after_values TEXT,
+            school_id TEXT,
+            series_id TEXT,
+            state TEXT,
+            changed_by TEXT NOT NULL,
+            changed_at TEXT NOT NULL DEFAULT (datetime('now'))
+        )`,
+        `CREATE INDEX idx_audit_log_record ON audit_log(table_name, record_id)`,
+        `CREATE INDEX idx_audit_log_school ON audit_log(school_id)`,
+        `CREATE INDEX idx_audit_log_series ON audit_log(series_id)`,
+        `CREATE INDEX idx_audit_log_state ON audit_log(state)`,
+        `CREATE INDEX idx_audit_log_changed_at ON audit_log(changed_at)`,
+        // The other audited tables already have it; updates stamp it
+        `ALTER TABLE public_holidays ADD COLUMN updated_at TEXT`
+    ]
+};
@@ -0,0 +1,34 @@
+/**
+ * 006 - School lifecycle
+ * Schools get the dates they opened and closed and, when merged into another
+ * school, a link to it. school_names keeps the names a school used to have and
+ * other names it goes by, so lookups by an old name still find it.
+ */
+
+module.exports = {
+    name: 'school lifecycle',
+    up: [
+        // First and last day the school is open; NULL when not known or still open
+        `ALTER TABLE schools ADD COLUMN opened_on TEXT`,
+        `ALTER TABLE schools ADD COLUMN closed_on TEXT`,
+        // The school that took over its students after closed_on
+        `ALTER TABLE schools ADD COLUMN successor_id TEXT REFERENCES schools(id)`,
+        `CREATE INDEX idx_schools_successor ON schools(successor_id)`,
+        // kind: former (used until used_to) or alias (an informal name, e.g. "Gap SS")
+        // name_key is the name lowercased with runs of spaces collapsed, for lookups
+        `CREATE TABLE school_names (
+            id TEXT PRIMARY KEY,
+            school_id TEXT NOT NULL,
+            name TEXT NOT NULL,
+            name_key TEXT NOT NULL,
+            kind TEXT NOT NULL CHECK (kind IN ('former', 'alias')),
+            used_from TEXT,
+            used_to TEXT,
+            created_at TEXT DEFAULT (datetime('now')),
+            updated_at TEXT DEFAULT (datetime('now')),
+            FOREIGN KEY (school_id) REFERENCES schools(id) ON DELETE CASCADE
+        )`,
+        `CREATE UNIQUE INDEX idx_school_names_school_name ON school_names(school_id, name_key)`,
+        `CREATE INDEX idx_school_names_name_key ON school_names(name_key)`
+    ]
+};
@@ -0,0 +1,72 @@
+/**
+ * The audit log as migrations write to it
+ * audit_log exists from migration 005 on, so migrations after it that change
+ * calendar rows log each one here, like the repositories do, as changed by
+ * the migration (e.g. "migration 007"). Migrations up to 005 shipped without
+ * logging and stay as they are. Once a migration uses this, it is frozen like
+ * that migration: a change here would change what the migration logs.
+ */
+
+// What a row affects, as repositories/audit.js records it
+const SCOPES = {
+    term_rules: row => [null, row.series_id, row.state],
+    public_holidays: row => [null, null, row.state],
+    schools: row => [row.id, row.term_rule_series_id, row.state],
+    school_events: row => [row.school_id, null, null]
+};
+
+/**
+ * Log one change of a row
+ */
+async function logChange(run, table, recordId, { before = null, after = null, changedBy }) {
+    const action = !before ? 'insert' : (after ? 'update' : 'delete');
+    await run(
+        `INSERT INTO audit_log (table_name, record_id, action, before_values, after_values, school_id, series_id, state, changed_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            table, recordId, action,
+            before ? JSON.stringify(before) : null,
+            after ? JSON.stringify(after) : null,
+            ...SCOPES[table](after || before),
+            changedBy
+        ]
+    );
+}
+
+/**
+ * Change some columns of one row (its id too) and log it
+ * @param {Object} db - { query, run }
+ * @param {string} table
+ * @param {string} id
+ * @param {Object} values - Column values to set
+ * @param {string} changedBy
+ */
+async function updateRow({ query, run }, table, id, values, changedBy) {
+    const [before] = await query(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+    const columns = Object.keys(values);
+    await run(
+        `UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map(column => values[column]), id]
+    );
+
+    const newId = values.id || id;
+    const [after] = await query(`SELECT * FROM ${table} WHERE id = ?`, [newId]);
+    await logChange(run, table, newId, { before, after, changedBy });
+}
+
+/**
+ * Delete one row and log it
+ * @param {Object} db - { query, run }
+ * @param {string} table
+ * @param {Object} row - The row, every column
+ * @param {string} changedBy
+ */
+async function deleteRow({ run }, table, row, changedBy) {
+    await run(`DELETE FROM ${table} WHERE id = ?`, [row.id]);
+    await logChange(run, table, row.id, { before: row, changedBy });
+}
+
+module.exports = {
+    updateRow,
+    deleteRow
+};
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+
+// Migration files are named NNN_description.js; NNN is the schema version they create
+const MIGRATION_FILE = /^(\d{3})_[a-z0-9_]+\.js$/;
+
+/**
+ * Load every migration in this directory, ordered by version
+ * A migration exports { name, up }, where up is a list of SQL statements or an
+ * async function ({ query, run }) for changes that need to read data first.
+ *
+ * @returns {Array<{version: number, name: string, up: Array<string>|Function}>}
+ */
+function loadMigrations() {
+    return fs.readdirSync(__dirname)
+        .filter(file => MIGRATION_FILE.test(file))
+        .sort()
+        .map(file => {
+            const migration = require(path.join(__dirname, file));
+            return {
+                version: Number(file.match(MIGRATION_FILE)[1]),
+                name: migration.name || file,
+                up: migration.up
+            };
+        });
+}
+
+/**
+ * Bring the database schema up to the latest version
+ * Applies the migrations newer than the recorded version in order, each in its
+ * own transaction, and records it in schema_migrations. Refuses to run against
+ * a database migrated by newer code than this.
+ *
+ * @param {Object} db - Promise helpers from database.js
+ * @param {Function} db.query - (sql, params) => Promise<rows>
+ * @param {Function} db.run - (sql, params) => Promise<changes>
+ * @param {Function} db.transaction - (work) => Promise, runs work in a transaction
+ * @returns {Promise<{from: number, to: number, applied: number}>}
+ */
+async function migrate({ query, run, transaction }) {
+    await run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT DEFAULT (datetime('now'))
+    )`);
+
+    const migrations = loadMigrations();
+    const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+    const [{ version: current }] = await query('SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations');
+
+    if (current > latest) {
+        throw new Error(
+            `Database schema version ${current} is newer than this code knows about (${latest}). ` +
+            'Deploy the newer code, or restore a backup made before the upgrade.'
+        );
+    }
+
+    const pending = migrations.filter(migration => migration.version > current);
+
+    for (const migration of pending) {
+        try {
+            await transaction(async () => {
+                if (typeof migration.up === 'function') {
+                    await migration.up({ query, run });
+                } else {
+                    for (const statement of migration.up) {
+                        await run(statement);
+                    }
+                }
+                await run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+            });
+        } catch (error) {
+            throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+        }
+        console.log(`✅ Migrated schema to version ${migration.version} (${migration.name})`);
+    }
+
+    return { from: current, to: latest, applied: pending.length };
+}
+
+module.exports = {
+    migrate,
+    loadMigrations
+};
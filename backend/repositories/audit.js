@@ -0,0 +1,304 @@
+const { query, run } = require('../database');
+const { placeholders, parseJsonColumn } = require('./helpers');
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {number} id - Increases with every change
+ * @property {string} table - term_rules, public_holidays, schools, school_events or school_names
+ * @property {string} recordId - ID of the changed row
+ * @property {string} action - insert, update or delete
+ * @property {Object|null} before - The row before the change, null for inserts
+ * @property {Object|null} after - The row after the change, null for deletes
+ * @property {string[]} changedFields - Columns whose value differs between before and after
+ * @property {string} changedBy - Who made the change, e.g. "seed" or "import-schools"
+ * @property {string} changedAt - UTC, YYYY-MM-DD HH:MM:SS
+ */
+
+// Tables whose writes are logged
+const AUDITED_TABLES = ['term_rules', 'public_holidays', 'schools', 'school_events', 'school_names'];
+
+// Most entries findChanges returns at once
+const MAX_CHANGES = 500;
+
+// What a row affects, kept in the school_id, series_id and state columns
+const SCOPES = {
+    term_rules: row => ({ school_id: null, series_id: row.series_id, state: row.state }),
+    public_holidays: row => ({ school_id: null, series_id: null, state: row.state }),
+    schools: row => ({ school_id: row.id, series_id: row.term_rule_series_id, state: row.state }),
+    school_events: row => ({ school_id: row.school_id, series_id: null, state: null }),
+    school_names: row => ({ school_id: row.school_id, series_id: null, state: null })
+};
+
+function assertAudited(table) {
+    if (!AUDITED_TABLES.includes(table)) {
+        throw new Error(`${table} is not an audited table`);
+    }
+}
+
+// Checked before writing, so a write nobody can be blamed for never happens
+function assertWritable(table, changedBy) {
+    assertAudited(table);
+    if (!changedBy) {
+        throw new Error(`Changes to ${table} need changedBy`);
+    }
+}
+
+/**
+ * A row as stored, every column
+ */
+async function findRow(table, id) {
+    assertAudited(table);
+    const [row] = await query(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+    return row || null;
+}
+
+/**
+ * Log one change
+ * @param {string} table - One of the audited tables
+ * @param {string} recordId
+ * @param {Object} change
+ * @param {Object|null} [change.before] - The row before, null for inserts
+ * @param {Object|null} [change.after] - The row after, null for deletes
+ * @param {string} change.changedBy
+ */
+async function recordChange(table, recordId, { before = null, after = null, changedBy }) {
+    assertWritable(table, changedBy);
+
+    const action = !before ? 'insert' : (after ? 'update' : 'delete');
+    const scope = SCOPES[table](after || before);
+
+    await run(
+        `INSERT INTO audit_log (table_name, record_id, action, before_values, after_values, school_id, series_id, state, changed_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            table, recordId, action,
+            before ? JSON.stringify(before) : null,
+            after ? JSON.stringify(after) : null,
+            scope.school_id, scope.series_id, scope.state,
+            changedBy
+        ]
+    );
+}
+
+/**
+ * Insert a row and log it
+ * @param {string} table - One of the audited tables
+ * @param {Object} values - Column values, including id
+ * @param {Object} options
+ * @param {string} options.changedBy
+ * @param {boolean} [options.ignoreExisting] - Leave an existing row with the same key alone (nothing is logged)
+ * @param {boolean} [options.updateExisting] - Update an existing row with the same ID instead (see updateOutdated)
+ * @returns {Promise<boolean>} - Whether a row was inserted or updated
+ */
+async function insertAudited(table, values, { changedBy, ignoreExisting = false, updateExisting = false }) {
+    assertWritable(table, changedBy);
+    const existing = updateExisting ? await findRow(table, values.id) : null;
+    if (existing) {
+        return updateOutdated(table, existing, values, changedBy);
+    }
+
+    const columns = Object.keys(values);
+    const inserted = await run(
+        `INSERT ${ignoreExisting ? 'OR IGNORE ' : ''}INTO ${table} (${columns.join(', ')}) VALUES (${placeholders(columns)})`,
+        columns.map(column => values[column])
+    );
+    if (inserted === 0) {
+        return false;
+    }
+
+    await recordChange(table, values.id, { after: await findRow(table, values.id), changedBy });
+    return true;
+}
+
+/**
+ * Change some columns of a row, stamp updated_at and log it
+ * @param {string} table - One of the audited tables
+ * @param {string} id
+ * @param {Object} values - Column values to set
+ * @param {Object} options
+ * @param {string} options.changedBy
+ * @returns {Promise<Object|null>} - The row before the change, null when it doesn't exist
+ */
+async function updateAudited(table, id, values, { changedBy }) {
+    assertWritable(table, changedBy);
+    const before = await findRow(table, id);
+    if (!before) {
+        return null;
+    }
+
+    const columns = Object.keys(values);
+    await run(
+        `UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = datetime('now') WHERE id = ?`,
+        [...columns.map(column => values[column]), id]
+    );
+
+    await recordChange(table, id, { before, after: await findRow(table, id), changedBy });
+    return before;
+}
+
+/**
+ * Delete a row and log it
+ * @param {string} table - One of the audited tables
+ * @param {string} id
+ * @param {Object} options
+ * @param {string} options.changedBy
+ * @returns {Promise<Object|null>} - The deleted row, null when it doesn't exist
+ */
+async function deleteAudited(table, id, { changedBy }) {
+    assertWritable(table, changedBy);
+    const before = await findRow(table, id);
+    if (!before) {
+        return null;
+    }
+
+    await run(`DELETE FROM ${table} WHERE id = ?`, [id]);
+    await recordChange(table, id, { before, changedBy });
+    return before;
+}
+
+/**
+ * Each column of a row as a writer last set it, from the log
+ * Values the row had before its first logged change are taken as the
+ * writer's too: rows written before the audit log existed have no entries.
+ * @returns {Promise<Object>} - Column values, {} when the writer deleted the row
+ */
+async function findWrittenValues(table, row, changedBy) {
+    const entries = await query(
+        `SELECT action, before_values, after_values, changed_by FROM audit_log
+         WHERE table_name = ? AND record_id = ? ORDER BY id`,
+        [table, row.id]
+    );
+    if (entries.length === 0) {
+        return row;
+    }
+
+    const [first, ...rest] = entries.map(toEntry);
+    let written = first.action === 'insert' ? {} : { ...first.before };
+    for (const entry of [first, ...rest].filter(candidate => candidate.changedBy === changedBy)) {
+        if (entry.action === 'insert') {
+            written = { ...entry.after };
+        } else if (entry.action === 'update') {
+            entry.changedFields.forEach(column => { written[column] = entry.after[column]; });
+        } else {
+            written = {};
+        }
+    }
+    return written;
+}
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Update the columns of an existing row whose new value the writer has changed
+ * A column is written when its new value differs from what the writer last
+ * set it to (or, if the writer never set it, from the row), so changes made
+ * since by others are kept unless the writer changes that column too.
+ * @param {string} table
+ * @param {Object} row - The row as stored
+ * @param {Object} values - The writer's column values, including id
+ * @param {string} changedBy
+ * @returns {Promise<boolean>} - Whether anything was updated
+ */
+async function updateOutdated(table, row, values, changedBy) {
+    const written = await findWrittenValues(table, row, changedBy);
+    const columns = Object.keys(values).filter(column => column !== 'id'
+        && !sameValue(values[column], column in written ? written[column] : row[column])
+        && !sameValue(values[column], row[column]));
+    if (columns.length === 0) {
+        return false;
+    }
+
+    await updateAudited(table, row.id, Object.fromEntries(columns.map(column => [column, values[column]])), { changedBy });
+    return true;
+}
+
+// Stamped on every write, so never interesting as a change
+const TIMESTAMP_COLUMNS = ['created_at', 'updated_at'];
+
+/**
+ * Columns whose value differs between two versions of a row
+ */
+function changedFields(before, after) {
+    const columns = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+    return columns.filter(column => !TIMESTAMP_COLUMNS.includes(column)
+        && JSON.stringify((before || {})[column]) !== JSON.stringify((after || {})[column]));
+}
+
+/**
+ * @returns {AuditEntry}
+ */
+function toEntry(row) {
+    const before = parseJsonColumn(row.before_values, null, `before_values of audit entry ${row.id}`);
+    const after = parseJsonColumn(row.after_values, null, `after_values of audit entry ${row.id}`);
+    return {
+        id: row.id,
+        table: row.table_name,
+        recordId: row.record_id,
+        action: row.action,
+        before,
+        after,
+        changedFields: changedFields(before, after),
+        changedBy: row.changed_by,
+        changedAt: row.changed_at
+    };
+}
+
+/**
+ * Logged changes, newest first
+ * With a schoolId, the changes that can affect that school's answers: its own
+ * row, its events and names, and the term rules and public holidays of its current
+ * calendar and state.
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.schoolId]
+ * @param {string} [filters.table] - One of the audited tables
+ * @param {string} [filters.recordId]
+ * @param {string} [filters.fromDate] - First day of changes, YYYY-MM-DD (UTC)
+ * @param {string} [filters.toDate] - Last day of changes, YYYY-MM-DD (UTC)
+ * @param {number} [filters.limit] - Most entries to return, up to MAX_CHANGES
+ * @returns {Promise<AuditEntry[]>}
+ */
+async function findChanges({ schoolId, table, recordId, fromDate, toDate, limit = 100 } = {}) {
+    const filters = [];
+    const params = [];
+
+    if (schoolId) {
+        const school = await findRow('schools', schoolId);
+        filters.push(`AND (school_id = ?
+            OR (table_name = 'term_rules' AND series_id = ?)
+            OR (table_name = 'public_holidays' AND state = ?))`);
+        params.push(schoolId, school ? school.term_rule_series_id : null, school ? school.state : null);
+    }
+    if (table) {
+        filters.push('AND table_name = ?');
+        params.push(table);
+    }
+    if (recordId) {
+        filters.push('AND record_id = ?');
+        params.push(recordId);
+    }
+    if (fromDate) {
+        filters.push('AND changed_at >= ?');
+        params.push(`${fromDate} 00:00:00`);
+    }
+    if (toDate) {
+        filters.push('AND changed_at <= ?');
+        params.push(`${toDate} 23:59:59`);
+    }
+
+    const rows = await query(
+        `SELECT * FROM audit_log WHERE 1 = 1 ${filters.join(' ')} ORDER BY id DESC LIMIT ?`,
+        [...params, Math.min(limit, MAX_CHANGES)]
+    );
+    return rows.map(toEntry);
+}
+
+module.exports = {
+    AUDITED_TABLES,
+    MAX_CHANGES,
+    recordChange,
+    insertAudited,
+    updateAudited,
+    deleteAudited,
+    findChanges
+};
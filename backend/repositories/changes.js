@@ -0,0 +1,14 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Write notifications
+ * Repository functions that write calendar rows announce what they changed,
+ * so caches can drop exactly the affected entries:
+ *   'schools'   (schoolIds)  - school rows
+ *   'termRules' (seriesIds)  - term rules of a series
+ *   'holidays'  (states)     - public holidays of a state
+ *   'events'    (schoolIds)  - a school's events
+ */
+const changes = new EventEmitter();
+
+module.exports = changes;
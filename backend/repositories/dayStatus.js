@@ -0,0 +1,131 @@
+const { query, run } = require('../database');
+const { placeholders, parseJsonColumn } = require('./helpers');
+
+/**
+ * @typedef {Object} DayStatus
+ * @property {string} school_id
+ * @property {string} status_date - YYYY-MM-DD
+ * @property {string} status - Open or Closed
+ * @property {string} reason
+ * @property {string} rule - Engine rule that decided it, e.g. "public_holiday"
+ * @property {number|null} term - Term number on open days
+ * @property {Array<Object>} events - Notices for the day
+ * @property {string|null} next_change_date
+ * @property {string|null} countdown_label
+ * @property {string|null} next_change_reason
+ * @property {string|null} period_end
+ * @property {string|null} closure_end
+ * @property {string} computed_at - UTC, YYYY-MM-DD HH:MM:SS
+ */
+
+/**
+ * @typedef {Object} DayStatusBuild
+ * @property {string} school_id
+ * @property {string} fingerprint - Of the calendar the rows were computed from
+ * @property {string} from_date - First day with rows
+ * @property {string} to_date - Last day with rows
+ * @property {string} built_at
+ */
+
+const DAY_COLUMNS = [
+    'school_id', 'status_date', 'status', 'reason', 'rule', 'term', 'events',
+    'next_change_date', 'countdown_label', 'next_change_reason', 'period_end', 'closure_end'
+];
+
+// Rows per INSERT, well under SQLite's limit on bound parameters
+const INSERT_BATCH_SIZE = 50;
+
+function toDayStatus(row) {
+    return {
+        ...row,
+        events: parseJsonColumn(row.events, [], `events of ${row.school_id} on ${row.status_date}`)
+    };
+}
+
+/**
+ * A school's precomputed status for one day
+ * @param {string} schoolId
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<DayStatus|null>}
+ */
+async function findDayStatus(schoolId, date) {
+    const [row] = await query(
+        `SELECT * FROM school_day_status WHERE school_id = ? AND status_date = ?`,
+        [schoolId, date]
+    );
+    return row ? toDayStatus(row) : null;
+}
+
+/**
+ * A school's precomputed statuses for a date range; days without a row are left out
+ * @param {string} schoolId
+ * @param {string} fromDate - YYYY-MM-DD (inclusive)
+ * @param {string} toDate - YYYY-MM-DD (inclusive)
+ * @returns {Promise<DayStatus[]>} - By date
+ */
+async function findDayStatusRange(schoolId, fromDate, toDate) {
+    const rows = await query(
+        `SELECT * FROM school_day_status WHERE school_id = ? AND status_date BETWEEN ? AND ? ORDER BY status_date`,
+        [schoolId, fromDate, toDate]
+    );
+    return rows.map(toDayStatus);
+}
+
+/**
+ * Which calendar each school's rows were computed from
+ * @returns {Promise<DayStatusBuild[]>}
+ */
+async function findBuilds() {
+    return query(`SELECT school_id, fingerprint, from_date, to_date, built_at FROM school_day_status_builds`);
+}
+
+/**
+ * Remove a school's rows and its build
+ * The build goes first, so a school whose rows are half gone is never taken as built.
+ * @param {string} schoolId
+ */
+async function deleteDayStatuses(schoolId) {
+    await run(`DELETE FROM school_day_status_builds WHERE school_id = ?`, [schoolId]);
+    await run(`DELETE FROM school_day_status WHERE school_id = ?`, [schoolId]);
+}
+
+/**
+ * Replace all of a school's rows
+ * Not one transaction: on SQLite a transaction holds every other statement back
+ * until it ends, and a build can be thousands of rows. Instead the build row is
+ * written last, and rows without one are never read.
+ *
+ * @param {string} schoolId
+ * @param {Object} build - { fingerprint, fromDate, toDate }
+ * @param {Array<Object>} days - getStatus results, one per day to store
+ */
+async function replaceDayStatuses(schoolId, { fingerprint, fromDate, toDate }, days) {
+    await deleteDayStatuses(schoolId);
+
+    for (let start = 0; start < days.length; start += INSERT_BATCH_SIZE) {
+        const batch = days.slice(start, start + INSERT_BATCH_SIZE);
+        const values = batch.map(day => [
+            schoolId, day.date, day.status, day.reason, day.rule, day.term ?? null, JSON.stringify(day.events),
+            day.nextChangeDate, day.countdownLabel, day.nextChangeReason, day.periodEnd, day.closureEnd
+        ]);
+        await run(
+            `INSERT INTO school_day_status (${DAY_COLUMNS.join(', ')}, computed_at)
+             VALUES ${values.map(row => `(${placeholders(row)}, datetime('now'))`).join(', ')}`,
+            values.flat()
+        );
+    }
+
+    await run(
+        `INSERT INTO school_day_status_builds (school_id, fingerprint, from_date, to_date, built_at)
+         VALUES (?, ?, ?, ?, datetime('now'))`,
+        [schoolId, fingerprint, fromDate, toDate]
+    );
+}
+
+module.exports = {
+    findDayStatus,
+    findDayStatusRange,
+    findBuilds,
+    deleteDayStatuses,
+    replaceDayStatuses
+};
@@ -0,0 +1,134 @@
+const { query } = require('../database');
+const { placeholders, parseJsonColumn } = require('./helpers');
+const changes = require('./changes');
+const { insertAudited, updateAudited, deleteAudited } = require('./audit');
+
+/**
+ * @typedef {Object} SchoolEvent
+ * @property {string} id
+ * @property {string} school_id
+ * @property {string} event_date - First (or only) day, YYYY-MM-DD
+ * @property {string|null} end_date - Last day of a multi-day event
+ * @property {string} event_type
+ * @property {string} name
+ * @property {string|null} description
+ * @property {number} is_closure - 1 closes the school, 0 is informational
+ * @property {number[]|null} year_levels - Cohorts it applies to (0 = Prep), null for the whole school
+ * @property {string|null} rrule - Recurrence rule, repeating from event_date
+ * @property {string[]|null} exdates - Occurrences that don't happen
+ */
+
+// Columns createEvent and updateEvent may write
+const WRITABLE_COLUMNS = [
+    'event_date', 'end_date', 'event_type', 'name', 'description', 'is_closure', 'year_levels', 'rrule', 'exdates'
+];
+
+/**
+ * Column values for some of an event's fields: is_closure as 1/0, year_levels
+ * and exdates as JSON, and NULL for empty optional fields
+ */
+function toColumnValues(event, columns) {
+    const convert = {
+        end_date: value => value || null,
+        description: value => value || null,
+        is_closure: value => (value ? 1 : 0),
+        year_levels: value => (value ? JSON.stringify(value) : null),
+        rrule: value => value || null,
+        exdates: value => (value ? JSON.stringify(value) : null)
+    };
+    return Object.fromEntries(columns.map(column => [column, convert[column] ? convert[column](event[column]) : event[column]]));
+}
+
+/**
+ * Events of some schools that can touch a date range
+ * Multi-day events that started earlier can still run into the range, and
+ * recurring events that started earlier can still have occurrences in it.
+ *
+ * @param {string[]} schoolIds
+ * @param {string} fromDate - YYYY-MM-DD (inclusive)
+ * @param {string} toDate - YYYY-MM-DD (inclusive)
+ * @returns {Promise<SchoolEvent[]>} - By event_date
+ */
+async function findEventsForSchools(schoolIds, fromDate, toDate) {
+    if (schoolIds.length === 0) {
+        return [];
+    }
+
+    const rows = await query(
+        `SELECT id, school_id, event_date, end_date, event_type, name, description, is_closure, year_levels, rrule, exdates FROM school_events
+         WHERE school_id IN (${placeholders(schoolIds)}) AND event_date <= ?
+           AND (COALESCE(end_date, event_date) >= ? OR rrule IS NOT NULL)
+         ORDER BY event_date`,
+        [...schoolIds, toDate, fromDate]
+    );
+
+    return rows.map(row => ({
+        ...row,
+        year_levels: parseJsonColumn(row.year_levels, null, `year_levels of event ${row.id}`),
+        exdates: parseJsonColumn(row.exdates, null, `exdates of event ${row.id}`)
+    }));
+}
+
+/**
+ * Add a school event
+ * @param {Object} event - SchoolEvent fields; is_closure may be a boolean
+ * @param {Object} options
+ * @param {string} options.changedBy - Who is adding it, for the audit log
+ * @param {boolean} [options.ignoreExisting] - Leave an existing event with the same ID alone
+ * @param {boolean} [options.updateExisting] - Update the columns of an existing event that this writer has changed since it last wrote them
+ * @returns {Promise<boolean>} - Whether it was added or updated
+ */
+async function createEvent(event, options) {
+    const written = await insertAudited('school_events', {
+        id: event.id,
+        school_id: event.school_id,
+        ...toColumnValues(event, WRITABLE_COLUMNS)
+    }, options);
+    if (written) {
+        changes.emit('events', [event.school_id]);
+    }
+    return written;
+}
+
+/**
+ * Change some of an event's fields; an event stays with its school
+ * @param {string} id
+ * @param {Object} fields - SchoolEvent fields to set
+ * @param {Object} options
+ * @param {string} options.changedBy - Who is changing it, for the audit log
+ * @returns {Promise<boolean>} - false when the event doesn't exist
+ */
+async function updateEvent(id, fields, { changedBy }) {
+    const columns = WRITABLE_COLUMNS.filter(column => fields[column] !== undefined);
+    if (columns.length === 0) {
+        return true;
+    }
+
+    const before = await updateAudited('school_events', id, toColumnValues(fields, columns), { changedBy });
+    if (before) {
+        changes.emit('events', [before.school_id]);
+    }
+    return before !== null;
+}
+
+/**
+ * Remove a school event
+ * @param {string} id
+ * @param {Object} options
+ * @param {string} options.changedBy - Who is removing it, for the audit log
+ * @returns {Promise<boolean>} - false when the event doesn't exist
+ */
+async function deleteEvent(id, { changedBy }) {
+    const deleted = await deleteAudited('school_events', id, { changedBy });
+    if (deleted) {
+        changes.emit('events', [deleted.school_id]);
+    }
+    return deleted !== null;
+}
+
+module.exports = {
+    findEventsForSchools,
+    createEvent,
+    updateEvent,
+    deleteEvent
+};
@@ -0,0 +1,32 @@
+/**
+ * Helpers shared by the repositories
+ */
+
+/**
+ * Build a "?, ?, ?" placeholder list for an IN clause
+ */
+function placeholders(values) {
+    return values.map(() => '?').join(', ');
+}
+
+/**
+ * Parse a JSON column, naming the column and row when it's corrupt
+ * @param {string|null} value - Column value
+ * @param {*} fallback - Returned for NULL
+ * @param {string} what - e.g. "term_dates of term rule qld-state-2026"
+ */
+function parseJsonColumn(value, fallback, what) {
+    if (value === null || value === undefined) {
+        return fallback;
+    }
+    try {
+        return JSON.parse(value);
+    } catch (parseErr) {
+        throw new Error(`Failed to parse ${what}: ${parseErr.message}`);
+    }
+}
+
+module.exports = {
+    placeholders,
+    parseJsonColumn
+};
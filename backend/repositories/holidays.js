@@ -0,0 +1,103 @@
+const { query } = require('../database');
+const { placeholders } = require('./helpers');
+const changes = require('./changes');
+const { insertAudited, updateAudited, deleteAudited } = require('./audit');
+
+/**
+ * @typedef {Object} PublicHoliday
+ * @property {string} state
+ * @property {string|null} region - NULL for the whole state
+ * @property {string} holiday_date - Gazetted date, YYYY-MM-DD
+ * @property {string} name
+ * @property {string|null} substitute - 'weekend' or 'sunday' when a weekend date gets an observed weekday
+ */
+
+/**
+ * Public holidays of some states between two dates
+ * @param {string[]} states - State codes
+ * @param {string} fromDate - YYYY-MM-DD (inclusive)
+ * @param {string} toDate - YYYY-MM-DD (inclusive)
+ * @returns {Promise<PublicHoliday[]>} - By date
+ */
+async function findHolidays(states, fromDate, toDate) {
+    if (states.length === 0) {
+        return [];
+    }
+
+    return query(
+        `SELECT state, region, holiday_date, name, substitute FROM public_holidays
+         WHERE state IN (${placeholders(states)}) AND holiday_date BETWEEN ? AND ?
+         ORDER BY holiday_date`,
+        [...states, fromDate, toDate]
+    );
+}
+
+/**
+ * Add a public holiday
+ * @param {Object} holiday - { id, holiday_date, name, state, region, substitute, year }
+ * @param {Object} options
+ * @param {string} options.changedBy - Who is adding it, for the audit log
+ * @param {boolean} [options.ignoreExisting] - Leave an existing holiday with the same ID alone
+ * @param {boolean} [options.updateExisting] - Update the columns of an existing holiday that this writer has changed since it last wrote them
+ * @returns {Promise<boolean>} - Whether it was added or updated
+ */
+async function createHoliday({ id, holiday_date, name, state, region = null, substitute = null, year }, options) {
+    const written = await insertAudited('public_holidays', {
+        id, holiday_date, name, state, region, substitute, year
+    }, options);
+    if (written) {
+        changes.emit('holidays', [state]);
+    }
+    return written;
+}
+
+// Columns updateHoliday may write; a holiday stays in its state
+const WRITABLE_COLUMNS = ['holiday_date', 'name', 'region', 'substitute', 'year'];
+
+/**
+ * Change some of a public holiday's columns
+ * @param {string} id
+ * @param {Object} fields - Writable columns to set
+ * @param {Object} options
+ * @param {string} options.changedBy - Who is changing it, for the audit log
+ * @returns {Promise<boolean>} - false when the holiday doesn't exist
+ */
+async function updateHoliday(id, fields, { changedBy }) {
+    const columns = WRITABLE_COLUMNS.filter(column => fields[column] !== undefined);
+    if (columns.length === 0) {
+        return true;
+    }
+
+    const before = await updateAudited(
+        'public_holidays',
+        id,
+        Object.fromEntries(columns.map(column => [column, fields[column]])),
+        { changedBy }
+    );
+    if (before) {
+        changes.emit('holidays', [before.state]);
+    }
+    return before !== null;
+}
+
+/**
+ * Remove a public holiday
+ * @param {string} id
+ * @param {Object} options
+ * @param {string} options.changedBy - Who is removing it, for the audit log
+ * @returns {Promise<boolean>} - false when the holiday doesn't exist
+ */
+async function deleteHoliday(id, { changedBy }) {
+    const deleted = await deleteAudited('public_holidays', id, { changedBy });
+    if (deleted) {
+        changes.emit('holidays', [deleted.state]);
+    }
+    return deleted !== null;
+}
+
+module.exports = {
+    findHolidays,
+    createHoliday,
+    updateHoliday,
+    deleteHoliday
+};
@@ -0,0 +1,17 @@
+/**
+ * Data access for the calendar tables and the daily status computed from them
+ * Each repository returns plain objects with JSON columns already parsed and
+ * rejects with the database error when a query fails; callers decide what a
+ * failure means for their response. Writes announce the rows they changed on
+ * `changes` so the calendar cache can refresh them.
+ */
+
+module.exports = {
+    schools: require('./schools'),
+    termRules: require('./termRules'),
+    holidays: require('./holidays'),
+    events: require('./events'),
+    dayStatus: require('./dayStatus'),
+    audit: require('./audit'),
+    changes: require('./changes')
+};
@@ -0,0 +1,305 @@
+const { query, generateUUID } = require('../database');
+const { placeholders, parseJsonColumn } = require('./helpers');
+const changes = require('./changes');
+const { insertAudited, updateAudited } = require('./audit');
+const { addDays, toDateString } = require('../../shared/dates.js');
+
+/**
+ * @typedef {Object} School
+ * @property {string} id - Slug, e.g. "gap-state-school"
+ * @property {string} name
+ * @property {string} school_type
+ * @property {string} suburb
+ * @property {string} postcode
+ * @property {string} state - State code, e.g. "QLD"
+ * @property {string|null} region - Region for regional public holidays, e.g. "Brisbane"
+ * @property {string} sector - state, catholic, independent or kindy
+ * @property {string|null} term_rule_series_id
+ * @property {Array<Object>} term_overrides - [{ year, term, start_date?, end_date? }]
+ * @property {string|null} centre_code - Department of Education centre code, for imported schools
+ * @property {string|null} education_region - Department of Education region, e.g. "Metropolitan"
+ * @property {number|null} latitude
+ * @property {number|null} longitude
+ * @property {boolean} is_active - Listed in the school picker
+ * @property {string|null} opened_on - First day open, YYYY-MM-DD
+ * @property {string|null} closed_on - Last day open, YYYY-MM-DD
+ * @property {string|null} successor_id - The school it merged into after closed_on
+ */
+
+/**
+ * @typedef {Object} SchoolName
+ * @property {string} id
+ * @property {string} school_id
+ * @property {string} name
+ * @property {string} kind - former (a name it used to have) or alias (another name it goes by)
+ * @property {string|null} used_from - First day of a former name, YYYY-MM-DD
+ * @property {string|null} used_to - Last day of a former name, YYYY-MM-DD
+ */
+
+const SCHOOL_COLUMNS = `id, name, school_type, suburb, postcode, state, region, sector, term_rule_series_id,
+    term_overrides, centre_code, education_region, latitude, longitude, is_active, opened_on, closed_on, successor_id`;
+
+// Columns createSchool and updateSchool may write
+const WRITABLE_COLUMNS = [
+    'name', 'school_type', 'suburb', 'postcode', 'state', 'region', 'sector', 'term_rule_series_id',
+    'term_overrides', 'centre_code', 'education_region', 'latitude', 'longitude', 'is_active',
+    'opened_on', 'closed_on', 'successor_id'
+];
+
+/**
+ * Key names are looked up by: lowercase, with runs of spaces collapsed
+ */
+const toNameKey = (name) => name.trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * @returns {School}
+ */
+function toSchool(row) {
+    return {
+        ...row,
+        term_overrides: parseJsonColumn(row.term_overrides, [], `term_overrides of school ${row.id}`),
+        is_active: row.is_active === 1
+    };
+}
+
+/**
+ * Active schools for the school picker, optionally one sector or state
+ * With includeHistorical, retired, closed and merged schools are listed too,
+ * each with its lifecycle (is_active, opened_on, closed_on, successor_id) and
+ * its former_names.
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.sector]
+ * @param {string} [filters.state]
+ * @param {boolean} [filters.includeHistorical]
+ * @returns {Promise<Array<Object>>} - { id, name, school_type, suburb, postcode, state, region, sector }, by name
+ */
+async function listSchools({ sector, state, includeHistorical = false } = {}) {
+    const filters = [];
+    const params = [];
+    if (!includeHistorical) {
+        filters.push('AND is_active = 1');
+    }
+    if (sector) {
+        filters.push('AND sector = ?');
+        params.push(sector);
+    }
+    if (state) {
+        filters.push('AND state = ?');
+        params.push(state);
+    }
+
+    const columns = includeHistorical
+        ? 'id, name, school_type, suburb, postcode, state, region, sector, is_active, opened_on, closed_on, successor_id'
+        : 'id, name, school_type, suburb, postcode, state, region, sector';
+    const rows = await query(
+        `SELECT ${columns} FROM schools WHERE 1 = 1 ${filters.join(' ')} ORDER BY name`,
+        params
+    );
+    if (!includeHistorical) {
+        return rows;
+    }
+
+    const names = await findSchoolNames(rows.map(row => row.id));
+    return rows.map(row => ({
+        ...row,
+        is_active: row.is_active === 1,
+        former_names: names
+            .filter(name => name.school_id === row.id && name.kind === 'former')
+            .map(({ name, used_from, used_to }) => ({ name, used_from, used_to }))
+    }));
+}
+
+/**
+ * Every school in a state, active or not
+ * @param {string} state - State code
+ * @returns {Promise<School[]>}
+ */
+async function listSchoolsInState(state) {
+    const rows = await query(`SELECT ${SCHOOL_COLUMNS} FROM schools WHERE state = ? ORDER BY name`, [state]);
+    return rows.map(toSchool);
+}
+
+/**
+ * Schools by ID; IDs that don't exist are left out
+ * @param {string[]} ids
+ * @returns {Promise<School[]>}
+ */
+async function findSchoolsByIds(ids) {
+    if (ids.length === 0) {
+        return [];
+    }
+    const rows = await query(`SELECT ${SCHOOL_COLUMNS} FROM schools WHERE id IN (${placeholders(ids)})`, ids);
+    return rows.map(toSchool);
+}
+
+/**
+ * Every school, active or not
+ * @returns {Promise<School[]>}
+ */
+async function findAllSchools() {
+    const rows = await query(`SELECT ${SCHOOL_COLUMNS} FROM schools`);
+    return rows.map(toSchool);
+}
+
+/**
+ * A school by name, ignoring case and spacing: its current name (an exact match
+ * first), else an alias or former name, aliases and then the most recent former
+ * name first. The school found may have closed since; see successor_id.
+ * @param {string} name
+ * @returns {Promise<School|null>}
+ */
+async function findSchoolByName(name) {
+    // toNameKey in SQL, short of collapsing runs of spaces inside a current name
+    const [row] = await query(
+        `SELECT ${SCHOOL_COLUMNS} FROM schools WHERE LOWER(TRIM(name)) = ?
+         ORDER BY CASE WHEN name = ? THEN 0 ELSE 1 END LIMIT 1`,
+        [toNameKey(name), name]
+    );
+    if (row) {
+        return toSchool(row);
+    }
+
+    const [match] = await query(
+        `SELECT school_id FROM school_names WHERE name_key = ?
+         ORDER BY CASE WHEN used_to IS NULL THEN 0 ELSE 1 END, used_to DESC LIMIT 1`,
+        [toNameKey(name)]
+    );
+    if (!match) {
+        return null;
+    }
+    const [school] = await findSchoolsByIds([match.school_id]);
+    return school || null;
+}
+
+/**
+ * Former names and aliases of some schools
+ * @param {string[]} schoolIds
+ * @returns {Promise<SchoolName[]>} - Oldest first
+ */
+async function findSchoolNames(schoolIds) {
+    if (schoolIds.length === 0) {
+        return [];
+    }
+    return query(
+        `SELECT id, school_id, name, kind, used_from, used_to FROM school_names
+         WHERE school_id IN (${placeholders(schoolIds)}) ORDER BY school_id, used_to, name`,
+        schoolIds
+    );
+}
+
+/**
+ * Record a former name or an alias of a school
+ * A school keeps each name once; adding one it already has does nothing.
+ * @param {string} schoolId
+ * @param {Object} schoolName - { name, kind, used_from?, used_to? }
+ * @param {Object} options
+ * @param {string} options.changedBy - Who is adding it, for the audit log
+ * @returns {Promise<boolean>} - Whether it was added
+ */
+async function addSchoolName(schoolId, { name, kind, used_from = null, used_to = null }, { changedBy }) {
+    return insertAudited('school_names', {
+        id: generateUUID(),
+        school_id: schoolId,
+        name,
+        name_key: toNameKey(name),
+        kind,
+        used_from,
+        used_to
+    }, { changedBy, ignoreExisting: true });
+}
+
+/**
+ * Keep a school's current name as a former name that ended the day before a rename
+ * It was in use since the previous rename, or since the school opened.
+ */
+async function keepFormerName(school, renamedOn, changedBy) {
+    const [previous] = await query(
+        `SELECT MAX(used_to) AS used_to FROM school_names WHERE school_id = ? AND kind = 'former'`,
+        [school.id]
+    );
+    await addSchoolName(school.id, {
+        name: school.name,
+        kind: 'former',
+        used_from: previous && previous.used_to ? addDays(previous.used_to, 1) : school.opened_on,
+        used_to: addDays(renamedOn, -1)
+    }, { changedBy });
+}
+
+/**
+ * Add a school
+ * @param {Object} school - id plus any of the writable columns
+ * @param {Object} options
+ * @param {string} options.changedBy - Who is adding it, for the audit log
+ * @param {boolean} [options.ignoreExisting] - Leave an existing school with the same ID alone
+ * @param {boolean} [options.updateExisting] - Update the columns of an existing school that this writer has changed since it last wrote them
+ * @returns {Promise<boolean>} - Whether it was added or updated
+ */
+async function createSchool(school, options) {
+    const columns = ['id', ...WRITABLE_COLUMNS.filter(column => school[column] !== undefined)];
+    const written = await insertAudited(
+        'schools',
+        Object.fromEntries(columns.map(column => [column, toColumnValue(column, school[column])])),
+        options
+    );
+    if (written) {
+        changes.emit('schools', [school.id]);
+    }
+    return written;
+}
+
+/**
+ * Change some of a school's columns
+ * A new name keeps the old one as a former name, so lookups by it still find the school.
+ * @param {string} id
+ * @param {Object} fields - Writable columns to set
+ * @param {Object} options
+ * @param {string} options.changedBy - Who is changing it, for the audit log
+ * @param {string} [options.effectiveDate] - First day of a new name, YYYY-MM-DD (default today)
+ * @returns {Promise<boolean>} - false when the school doesn't exist
+ */
+async function updateSchool(id, fields, { changedBy, effectiveDate = toDateString(new Date()) }) {
+    const columns = WRITABLE_COLUMNS.filter(column => fields[column] !== undefined);
+    if (columns.length === 0) {
+        return true;
+    }
+
+    if (fields.name !== undefined) {
+        const [school] = await findSchoolsByIds([id]);
+        if (school && school.name !== fields.name) {
+            await keepFormerName(school, effectiveDate, changedBy);
+        }
+    }
+
+    const updated = await updateAudited(
+        'schools',
+        id,
+        Object.fromEntries(columns.map(column => [column, toColumnValue(column, fields[column])])),
+        { changedBy }
+    );
+    changes.emit('schools', [id]);
+    return updated !== null;
+}
+
+// is_active is a boolean on School and an INTEGER in SQLite; term_overrides is JSON, NULL when empty
+function toColumnValue(column, value) {
+    if (column === 'is_active') {
+        return value ? 1 : 0;
+    }
+    if (column === 'term_overrides') {
+        return value && value.length > 0 ? JSON.stringify(value) : null;
+    }
+    return value;
+}
+
+module.exports = {
+    listSchools,
+    listSchoolsInState,
+    findSchoolsByIds,
+    findAllSchools,
+    findSchoolByName,
+    findSchoolNames,
+    addSchoolName,
+    createSchool,
+    updateSchool
+};
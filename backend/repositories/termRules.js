@@ -0,0 +1,132 @@
+const { query, run } = require('../database');
+const { placeholders, parseJsonColumn } = require('./helpers');
+const changes = require('./changes');
+const { insertAudited, updateAudited, deleteAudited } = require('./audit');
+
+/**
+ * @typedef {Object} TermRule
+ * @property {string} series_id
+ * @property {number} year
+ * @property {Array<{term: number, start_date: string, end_date: string}>} terms
+ */
+
+/**
+ * Term rules of some series for a range of years
+ * @param {string[]} seriesIds
+ * @param {number} fromYear - First year (inclusive)
+ * @param {number} toYear - Last year (inclusive)
+ * @returns {Promise<TermRule[]>}
+ */
+async function findTermRules(seriesIds, fromYear, toYear) {
+    if (seriesIds.length === 0) {
+        return [];
+    }
+
+    const rows = await query(
+        `SELECT id, series_id, year, term_dates FROM term_rules
+         WHERE series_id IN (${placeholders(seriesIds)}) AND year BETWEEN ? AND ?
+         ORDER BY series_id, year`,
+        [...seriesIds, fromYear, toYear]
+    );
+
+    return rows.map(row => ({
+        series_id: row.series_id,
+        year: row.year,
+        terms: parseJsonColumn(row.term_dates, { terms: [] }, `term_dates of term rule ${row.id}`).terms
+    }));
+}
+
+/**
+ * The term calendar a state and sector's schools follow
+ * @param {string} state - State code
+ * @param {string} sector - state, catholic, independent or kindy
+ * @returns {Promise<{id: string, name: string}|null>}
+ */
+async function findSeriesFor(state, sector) {
+    const [row] = await query(
+        `SELECT id, name FROM term_rule_series WHERE state = ? AND sector = ? ORDER BY id LIMIT 1`,
+        [state, sector]
+    );
+    return row || null;
+}
+
+/**
+ * Add a term calendar
+ * @param {Object} series - { id, name, state, sector }
+ * @param {Object} [options]
+ * @param {boolean} [options.ignoreExisting] - Leave an existing series with the same ID alone
+ */
+async function createSeries({ id, name, state, sector }, { ignoreExisting = false } = {}) {
+    await run(
+        `INSERT ${ignoreExisting ? 'OR IGNORE ' : ''}INTO term_rule_series (id, name, state, sector) VALUES (?, ?, ?, ?)`,
+        [id, name, state, sector]
+    );
+}
+
+/**
+ * Add one year of a series' term dates
+ * @param {Object} rule - { id, series_id, name, year, state, sector, terms }
+ * @param {Object} options
+ * @param {string} options.changedBy - Who is adding it, for the audit log
+ * @param {boolean} [options.ignoreExisting] - Leave an existing rule with the same ID alone
+ * @param {boolean} [options.updateExisting] - Update the columns of an existing rule that this writer has changed since it last wrote them
+ * @returns {Promise<boolean>} - Whether it was added or updated
+ */
+async function createTermRule({ id, series_id, name, year, state, sector, terms }, options) {
+    const written = await insertAudited('term_rules', {
+        id, series_id, name, year, state, sector,
+        term_dates: JSON.stringify({ terms })
+    }, options);
+    if (written) {
+        changes.emit('termRules', [series_id]);
+    }
+    return written;
+}
+
+/**
+ * Change a term rule's name or term dates
+ * @param {string} id
+ * @param {Object} fields - { name?, terms? }
+ * @param {Object} options
+ * @param {string} options.changedBy - Who is changing it, for the audit log
+ * @returns {Promise<boolean>} - false when the rule doesn't exist
+ */
+async function updateTermRule(id, { name, terms }, { changedBy }) {
+    const values = {
+        ...(name !== undefined && { name }),
+        ...(terms !== undefined && { term_dates: JSON.stringify({ terms }) })
+    };
+    if (Object.keys(values).length === 0) {
+        return true;
+    }
+
+    const before = await updateAudited('term_rules', id, values, { changedBy });
+    if (before) {
+        changes.emit('termRules', [before.series_id]);
+    }
+    return before !== null;
+}
+
+/**
+ * Remove one year of a series' term dates
+ * @param {string} id
+ * @param {Object} options
+ * @param {string} options.changedBy - Who is removing it, for the audit log
+ * @returns {Promise<boolean>} - false when the rule doesn't exist
+ */
+async function deleteTermRule(id, { changedBy }) {
+    const deleted = await deleteAudited('term_rules', id, { changedBy });
+    if (deleted) {
+        changes.emit('termRules', [deleted.series_id]);
+    }
+    return deleted !== null;
+}
+
+module.exports = {
+    findTermRules,
+    findSeriesFor,
+    createSeries,
+    createTermRule,
+    updateTermRule,
+    deleteTermRule
+};
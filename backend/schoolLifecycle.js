@@ -0,0 +1,173 @@
+/**
+ * Record renames, aliases, merges, closures and openings of schools
+ * Run: node schoolLifecycle.js <command> ... [--changed-by=<name>]
+ *
+ *   rename <schoolId> "<new name>" [--on=<date>]   New name from that date (default today)
+ *   alias <schoolId> "<alias>"                     Another name the school goes by
+ *   merge <schoolId> <successorId> --on=<date>     Successor answers for the school from that date
+ *   close <schoolId> --on=<date>                   Closed for good from that date
+ *   open <schoolId> --on=<date>                    Opens (or reopens) on that date
+ *
+ * Dates are YYYY-MM-DD. A running server doesn't see these changes until it
+ * reloads its calendar cache: send it SIGHUP.
+ */
+
+const { initializeDatabase, closeDatabase, transaction } = require('./database');
+const repositories = require('./repositories');
+const { addDays, toDateString } = require('../shared/dates.js');
+
+// Who the audit log says made the changes, unless --changed-by names someone
+const DEFAULT_ACTOR = 'school-lifecycle';
+
+const USAGE = `Usage: node schoolLifecycle.js <command> ... [--changed-by=<name>]
+  rename <schoolId> "<new name>" [--on=<date>]
+  alias <schoolId> "<alias>"
+  merge <schoolId> <successorId> --on=<date>
+  close <schoolId> --on=<date>
+  open <schoolId> --on=<date>`;
+
+/**
+ * A school by ID, or an error naming it
+ */
+async function findSchool(id) {
+    const [school] = await repositories.schools.findSchoolsByIds([id]);
+    if (!school) {
+        throw new Error(`No school with ID ${id}`);
+    }
+    return school;
+}
+
+function assertDate(date, option) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+        throw new Error(`${option} needs a date in YYYY-MM-DD format`);
+    }
+}
+
+/**
+ * Give a school a new name from a date; the old name is kept as a former name
+ */
+async function renameSchool(schoolId, name, { on = toDateString(new Date()), changedBy }) {
+    assertDate(on, '--on');
+    const school = await findSchool(schoolId);
+    if (school.name === name) {
+        throw new Error(`${schoolId} is already named ${name}`);
+    }
+    await repositories.schools.updateSchool(schoolId, { name }, { changedBy, effectiveDate: on });
+    return `Renamed ${school.name} to ${name} from ${on}`;
+}
+
+/**
+ * Record another name a school goes by
+ */
+async function addAlias(schoolId, alias, { changedBy }) {
+    const school = await findSchool(schoolId);
+    const added = await repositories.schools.addSchoolName(schoolId, { name: alias, kind: 'alias' }, { changedBy });
+    return added ? `Added alias ${alias} for ${school.name}` : `${school.name} already has the name ${alias}`;
+}
+
+/**
+ * Close a school the day before a date, with its students moving to a successor from that date
+ */
+async function mergeSchool(schoolId, successorId, { on, changedBy }) {
+    assertDate(on, '--on');
+    if (schoolId === successorId) {
+        throw new Error('A school cannot merge into itself');
+    }
+    const school = await findSchool(schoolId);
+    let successor = await findSchool(successorId);
+    const into = successor.name;
+
+    // Following successors from the new one must never lead back to this school
+    while (successor.successor_id) {
+        if (successor.successor_id === schoolId) {
+            throw new Error(`${successorId} already merges into ${schoolId}`);
+        }
+        successor = await findSchool(successor.successor_id);
+    }
+
+    await repositories.schools.updateSchool(schoolId, {
+        closed_on: addDays(on, -1),
+        successor_id: successorId,
+        is_active: false
+    }, { changedBy });
+    return `Merged ${school.name} into ${into} from ${on}`;
+}
+
+/**
+ * Close a school for good the day before a date
+ */
+async function closeSchool(schoolId, { on, changedBy }) {
+    assertDate(on, '--on');
+    const school = await findSchool(schoolId);
+    await repositories.schools.updateSchool(schoolId, {
+        closed_on: addDays(on, -1),
+        successor_id: null,
+        is_active: false
+    }, { changedBy });
+    return `Closed ${school.name} from ${on}`;
+}
+
+/**
+ * Open a school on a date, undoing any closure or merge
+ */
+async function openSchool(schoolId, { on, changedBy }) {
+    assertDate(on, '--on');
+    const school = await findSchool(schoolId);
+    await repositories.schools.updateSchool(schoolId, {
+        opened_on: on,
+        closed_on: null,
+        successor_id: null,
+        is_active: true
+    }, { changedBy });
+    return `Opened ${school.name} on ${on}`;
+}
+
+const COMMANDS = {
+    rename: { args: 2, apply: ([id, name], options) => renameSchool(id, name, options) },
+    alias: { args: 2, apply: ([id, alias], options) => addAlias(id, alias, options) },
+    merge: { args: 2, apply: ([id, successorId], options) => mergeSchool(id, successorId, options) },
+    close: { args: 1, apply: ([id], options) => closeSchool(id, options) },
+    open: { args: 1, apply: ([id], options) => openSchool(id, options) }
+};
+
+/**
+ * The value of a --name=value option
+ */
+function option(args, name) {
+    const arg = args.find(candidate => candidate.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const [commandName, ...positional] = args.filter(arg => !arg.startsWith('--'));
+    const command = COMMANDS[commandName];
+    const changedBy = option(args, 'changed-by') ?? DEFAULT_ACTOR;
+
+    if (!command || positional.length !== command.args || !changedBy) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    try {
+        await initializeDatabase();
+        const message = await transaction(() => command.apply(positional, { on: option(args, 'on'), changedBy }));
+        console.log(`✅ ${message}`);
+        await closeDatabase();
+    } catch (error) {
+        console.error('❌ Failed:', error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    renameSchool,
+    addAlias,
+    mergeSchool,
+    closeSchool,
+    openSchool
+};
@@ -0,0 +1,150 @@
+const path = require('path');
+const { generateHolidaysForYears } = require('../shared/holidays.js');
+const { validateSeedData } = require('../shared/seedData.js');
+const { transaction } = require('./database');
+const repositories = require('./repositories');
+
+// Schools, term calendars and events are seeded from the data files the frontend
+// bundles, so both use the same IDs
+const SEED_DATA_DIR = path.join(__dirname, '..', 'shared', 'data');
+
+// Rows added or corrected by seeding are logged as changed by
+const SEED_ACTOR = 'seed';
+
+// Existing rows get the corrections made to the data files since they were
+// seeded; changes made to them some other way are kept
+const SEED_OPTIONS = { changedBy: SEED_ACTOR, updateExisting: true };
+
+/**
+ * Load the seed data files and check them against the seed schema
+ * @returns {{termDates: Object, schools: Array, events: Array}}
+ */
+function loadSeedData() {
+    const data = {
+        termDates: require(path.join(SEED_DATA_DIR, 'termDates.json')),
+        schools: require(path.join(SEED_DATA_DIR, 'schools.json')),
+        events: require(path.join(SEED_DATA_DIR, 'events.json'))
+    };
+
+    const errors = validateSeedData(data);
+    if (errors.length > 0) {
+        throw new Error(`Invalid seed data in shared/data:\n  ${errors.join('\n  ')}`);
+    }
+    return data;
+}
+
+/**
+ * Stable ID for a generated public holiday, e.g. "qld-2026-08-12-brisbane"
+ */
+function holidayId(holiday) {
+    const parts = [holiday.state, holiday.holiday_date, holiday.region].filter(Boolean);
+    return parts.join('-').toLowerCase().replace(/ /g, '-');
+}
+
+/**
+ * Seed term rules data
+ * One series per state and sector calendar and one term_rules row per year.
+ * Missing years are added and corrected term dates are updated.
+ * @param {Object} termDates - termDates.json, keyed by series id
+ */
+async function seedTermRules(termDates) {
+    for (const series of Object.values(termDates)) {
+        await repositories.termRules.createSeries(series, { ignoreExisting: true });
+
+        for (const rule of series.rules) {
+            await repositories.termRules.createTermRule({
+                id: rule.id,
+                series_id: series.id,
+                name: rule.name,
+                year: rule.year,
+                state: series.state,
+                sector: series.sector,
+                terms: rule.terms
+            }, SEED_OPTIONS);
+        }
+    }
+
+    console.log('✅ Term rules seeded');
+}
+
+/**
+ * Seed public holidays data
+ * Generated from the rules in shared/holidays.js for every state and year we have term dates for
+ * @param {Object} termDates - termDates.json, keyed by series id
+ */
+async function seedPublicHolidays(termDates) {
+    const series = Object.values(termDates);
+    const years = [...new Set(series.flatMap(entry => entry.rules.map(rule => rule.year)))];
+    const states = [...new Set(series.map(entry => entry.state))];
+    const holidays = states.flatMap(state => generateHolidaysForYears(state, years));
+
+    for (const holiday of holidays) {
+        await repositories.holidays.createHoliday({ id: holidayId(holiday), ...holiday }, SEED_OPTIONS);
+    }
+
+    console.log('✅ Public holidays seeded');
+}
+
+/**
+ * Seed schools data
+ * Each school follows its sector's calendar, plus any term boundaries of its own
+ * @param {Array} schools - schools.json
+ */
+async function seedSchools(schools) {
+    for (const school of schools) {
+        await repositories.schools.createSchool({
+            id: school.id,
+            name: school.name,
+            school_type: school.school_type,
+            suburb: school.suburb,
+            postcode: school.postcode,
+            latitude: school.latitude ?? null,
+            longitude: school.longitude ?? null,
+            state: school.state,
+            region: school.region || null,
+            sector: school.sector,
+            term_rule_series_id: school.termRuleSeriesId,
+            term_overrides: school.termOverrides,
+            is_active: true
+        }, SEED_OPTIONS);
+    }
+
+    console.log('✅ Schools seeded');
+}
+
+/**
+ * Seed school events data
+ * Multi-day events run from event_date to end_date; recurring events repeat
+ * from event_date by their rrule, skipping their exdates
+ * @param {Array} events - events.json
+ */
+async function seedSchoolEvents(events) {
+    for (const event of events) {
+        await repositories.events.createEvent(event, SEED_OPTIONS);
+    }
+
+    console.log('✅ School events seeded');
+}
+
+/**
+ * Seed the calendar tables from shared/data
+ * Seeding is idempotent: missing rows are added, and columns whose value in
+ * the data files changed since seeding last wrote them are updated, so the
+ * database answers like the frontend bundle. Columns changed since by the
+ * importer, schoolLifecycle.js or the API keep their values unless the data
+ * files change them too. Both are logged in the audit log as changed by "seed".
+ */
+async function seedDatabase() {
+    const seedData = loadSeedData();
+    // One transaction: all of the seed lands or none of it, and in one write
+    await transaction(async () => {
+        await seedTermRules(seedData.termDates);
+        await seedPublicHolidays(seedData.termDates);
+        await seedSchools(seedData.schools);
+        await seedSchoolEvents(seedData.events);
+    });
+}
+
+module.exports = {
+    seedDatabase
+};
@@ -1,8 +1,30 @@
 const express = require('express');
 const cors = require('cors');
-const cheerio = require('cheerio');
-const { initializeDatabase, getDatabase } = require('./database');
-const { checkSchoolStatus } = require('./logic');
+const { initializeDatabase } = require('./database');
+const repositories = require('./repositories');
+const calendarCache = require('./calendarCache');
+const dayStatusTable = require('./dayStatusTable');
+const {
+    checkSchoolStatus,
+    checkSchoolStatusBatch,
+    getSchoolCalendar,
+    getSchoolTermProgress,
+    countSchoolDaysBetween,
+    MAX_CALENDAR_DAYS,
+    MAX_BATCH_ITEMS
+} = require('./logic');
+const {
+    listHouseholds,
+    getHousehold,
+    createHousehold,
+    updateHousehold,
+    deleteHousehold,
+    checkHousehold
+} = require('./households');
+const { checkEmergencyClosure } = require('./emergency');
+const { parseYearLevel, SECTORS } = require('../shared/statusEngine.js');
+const { STATE_CODES } = require('../shared/states.js');
+const { isDate } = require('../shared/dates.js');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -13,8 +35,11 @@ app.use(express.json());
 
 // Initialize database on startup
 initializeDatabase()
+    .then(() => calendarCache.warm())
     .then(() => {
         console.log('🚀 Server starting...');
+        // Checks are evaluated from the cache until each school's rows are built
+        dayStatusTable.syncAll();
     })
     .catch((err) => {
         console.error('Failed to initialize database:', err);
@@ -24,26 +49,44 @@ initializeDatabase()
 /**
  * GET /api/schools
  * Get all schools
+ * Query params: sector (optional: state, catholic, independent or kindy),
+ *               state (optional: QLD, NSW, VIC, SA, WA, TAS, NT or ACT),
+ *               includeHistorical (optional: true to include retired, closed and merged schools)
  */
-app.get('/api/schools', (req, res) => {
-    const db = getDatabase();
-    db.all('SELECT id, name, school_type, suburb, postcode, state FROM schools WHERE is_active = 1 ORDER BY name', [], (err, rows) => {
-        if (err) {
-            console.error('Error fetching schools:', err);
-            res.status(500).json({ error: 'Failed to fetch schools' });
-        } else {
-            res.json(rows);
-        }
-    });
+app.get('/api/schools', async (req, res) => {
+    const { sector, state } = req.query;
+    const includeHistorical = req.query.includeHistorical === 'true' || req.query.includeHistorical === '1';
+
+    if (sector !== undefined && !SECTORS.includes(sector)) {
+        return res.status(400).json({
+            error: `Invalid sector. Use one of: ${SECTORS.join(', ')}`
+        });
+    }
+
+    if (state !== undefined && !STATE_CODES.includes(state)) {
+        return res.status(400).json({
+            error: `Invalid state. Use one of: ${STATE_CODES.join(', ')}`
+        });
+    }
+
+    try {
+        res.json(await repositories.schools.listSchools({ sector, state, includeHistorical }));
+    } catch (error) {
+        console.error('Error fetching schools:', error);
+        res.status(500).json({ error: 'Failed to fetch schools', message: error.message });
+    }
 });
 
 /**
  * GET /api/check
  * Check if a school is open on a specific date
- * Query params: schoolId, date (YYYY-MM-DD)
+ * Query params: schoolId, date (YYYY-MM-DD), yearLevel (optional: Prep or 1-12),
+ *               explain (optional: true to include the rule evaluation trace)
  */
 app.get('/api/check', async (req, res) => {
     const { schoolId, date } = req.query;
+    const yearLevel = parseYearLevel(req.query.yearLevel);
+    const explain = req.query.explain === 'true' || req.query.explain === '1';
 
     if (!schoolId || !date) {
         return res.status(400).json({ 
@@ -51,15 +94,21 @@ app.get('/api/check', async (req, res) => {
         });
     }
 
-    // Validate date format
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    // Validate the date: the format, and that it exists (no 2026-02-30)
+    if (!isDate(date)) {
+        return res.status(400).json({ 
+            error: 'Invalid date. Use a real date in YYYY-MM-DD format' 
+        });
+    }
+
+    if (yearLevel === undefined) {
         return res.status(400).json({ 
-            error: 'Invalid date format. Use YYYY-MM-DD' 
+            error: 'Invalid yearLevel. Use Prep or 1-12' 
         });
     }
 
     try {
-        const result = await checkSchoolStatus(date, schoolId);
+        const result = await checkSchoolStatus(date, schoolId, { yearLevel, explain });
         res.json(result);
     } catch (error) {
         console.error('Error checking school status:', error);
@@ -75,7 +124,11 @@ app.get('/api/check', async (req, res) => {
  * Alternative endpoint using POST body
  */
 app.post('/api/check', async (req, res) => {
-    const { schoolId, date } = req.body;
+    // No JSON body (or another Content-Type) leaves req.body undefined
+    const body = req.body ?? {};
+    const { schoolId, date } = body;
+    const yearLevel = parseYearLevel(body.yearLevel);
+    const explain = body.explain === true || body.explain === 'true';
 
     if (!schoolId || !date) {
         return res.status(400).json({ 
@@ -83,15 +136,21 @@ app.post('/api/check', async (req, res) => {
         });
     }
 
-    // Validate date format
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    // Validate the date: the format, and that it exists (no 2026-02-30)
+    if (!isDate(date)) {
         return res.status(400).json({ 
-            error: 'Invalid date format. Use YYYY-MM-DD' 
+            error: 'Invalid date. Use a real date in YYYY-MM-DD format' 
+        });
+    }
+
+    if (yearLevel === undefined) {
+        return res.status(400).json({ 
+            error: 'Invalid yearLevel. Use Prep or 1-12' 
         });
     }
 
     try {
-        const result = await checkSchoolStatus(date, schoolId);
+        const result = await checkSchoolStatus(date, schoolId, { yearLevel, explain });
         res.json(result);
     } catch (error) {
         console.error('Error checking school status:', error);
@@ -102,10 +161,393 @@ app.post('/api/check', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/check/batch
+ * Check many school/date pairs in one request
+ * Body: { items: [{schoolId, date, yearLevel?}] } or { schoolIds: [...], dates: [...] }
+ *       (every school on every date), plus optional yearLevel and explain for all items
+ * Invalid items get their own error in the results instead of failing the batch
+ */
+app.post('/api/check/batch', async (req, res) => {
+    const body = req.body ?? {};
+    const { items, schoolIds, dates } = body;
+    const explain = body.explain === true || body.explain === 'true';
+    const defaultYearLevel = parseYearLevel(body.yearLevel);
+
+    let pairs;
+    if (Array.isArray(items)) {
+        pairs = items;
+    } else if (Array.isArray(schoolIds) && Array.isArray(dates)) {
+        pairs = schoolIds.flatMap(schoolId => dates.map(date => ({ schoolId, date })));
+    } else {
+        return res.status(400).json({ 
+            error: 'Missing required parameters: items ([{schoolId, date}]) or schoolIds and dates' 
+        });
+    }
+
+    if (pairs.length > MAX_BATCH_ITEMS) {
+        return res.status(400).json({ 
+            error: `Batch too large. Maximum is ${MAX_BATCH_ITEMS} items` 
+        });
+    }
+
+    if (defaultYearLevel === undefined) {
+        return res.status(400).json({ 
+            error: 'Invalid yearLevel. Use Prep or 1-12' 
+        });
+    }
+
+    // Validate each item on its own so one bad pair doesn't sink the rest
+    const checks = pairs.map(pair => {
+        const { schoolId, date } = pair || {};
+        const yearLevel = pair && pair.yearLevel !== undefined ? parseYearLevel(pair.yearLevel) : defaultYearLevel;
+
+        if (!schoolId || !date) {
+            return { schoolId, date, error: 'Missing required fields: schoolId and date (YYYY-MM-DD)' };
+        }
+        if (!isDate(date)) {
+            return { schoolId, date, error: 'Invalid date. Use a real date in YYYY-MM-DD format' };
+        }
+        if (yearLevel === undefined) {
+            return { schoolId, date, error: 'Invalid yearLevel. Use Prep or 1-12' };
+        }
+        return { schoolId, date, yearLevel, explain };
+    });
+
+    try {
+        const answers = await checkSchoolStatusBatch(checks.filter(check => !check.error));
+        const results = checks.map(check => (check.error
+            ? { schoolId: check.schoolId, date: check.date, status: 'Error', reason: check.error }
+            : answers.shift()));
+
+        res.json({ results });
+    } catch (error) {
+        console.error('Error checking school status batch:', error);
+        res.status(500).json({ 
+            error: 'Failed to check school status',
+            message: error.message 
+        });
+    }
+});
+
+/**
+ * GET /api/calendar
+ * Get the status of a school for every day in a date range
+ * Query params: schoolId, from (YYYY-MM-DD), to (YYYY-MM-DD), yearLevel (optional)
+ */
+app.get('/api/calendar', async (req, res) => {
+    const { schoolId, from, to } = req.query;
+    const yearLevel = parseYearLevel(req.query.yearLevel);
+
+    if (!schoolId || !from || !to) {
+        return res.status(400).json({ 
+            error: 'Missing required parameters: schoolId, from and to (YYYY-MM-DD)' 
+        });
+    }
+
+    // Validate the date: the format, and that it exists (no 2026-02-30)
+    if (!isDate(from) || !isDate(to)) {
+        return res.status(400).json({ 
+            error: 'Invalid date. Use a real date in YYYY-MM-DD format' 
+        });
+    }
+
+    if (from > to) {
+        return res.status(400).json({ 
+            error: 'Invalid range: from must be on or before to' 
+        });
+    }
+
+    const rangeDays = Math.round((new Date(to + 'T00:00:00Z') - new Date(from + 'T00:00:00Z')) / (1000 * 60 * 60 * 24)) + 1;
+    if (rangeDays > MAX_CALENDAR_DAYS) {
+        return res.status(400).json({ 
+            error: `Range too large. Maximum is ${MAX_CALENDAR_DAYS} days` 
+        });
+    }
+
+    if (yearLevel === undefined) {
+        return res.status(400).json({ 
+            error: 'Invalid yearLevel. Use Prep or 1-12' 
+        });
+    }
+
+    try {
+        const result = await getSchoolCalendar(schoolId, from, to, { yearLevel });
+        res.json(result);
+    } catch (error) {
+        console.error('Error building school calendar:', error);
+        res.status(500).json({ 
+            error: 'Failed to build school calendar',
+            message: error.message 
+        });
+    }
+});
+
+/**
+ * GET /api/progress
+ * Term progress on a date: week of term, school days elapsed and remaining in the term and year
+ * Query params: schoolId, date (YYYY-MM-DD), yearLevel (optional)
+ */
+app.get('/api/progress', async (req, res) => {
+    const { schoolId, date } = req.query;
+    const yearLevel = parseYearLevel(req.query.yearLevel);
+
+    if (!schoolId || !date) {
+        return res.status(400).json({ 
+            error: 'Missing required parameters: schoolId and date (YYYY-MM-DD)' 
+        });
+    }
+
+    // Validate the date: the format, and that it exists (no 2026-02-30)
+    if (!isDate(date)) {
+        return res.status(400).json({ 
+            error: 'Invalid date. Use a real date in YYYY-MM-DD format' 
+        });
+    }
+
+    if (yearLevel === undefined) {
+        return res.status(400).json({ 
+            error: 'Invalid yearLevel. Use Prep or 1-12' 
+        });
+    }
+
+    try {
+        const result = await getSchoolTermProgress(schoolId, date, { yearLevel });
+        res.json(result);
+    } catch (error) {
+        console.error('Error building term progress:', error);
+        res.status(500).json({ 
+            error: 'Failed to build term progress',
+            message: error.message 
+        });
+    }
+});
+
+/**
+ * GET /api/school-days
+ * Count the school days between two dates (inclusive)
+ * Query params: schoolId, from (YYYY-MM-DD), to (YYYY-MM-DD), yearLevel (optional)
+ */
+app.get('/api/school-days', async (req, res) => {
+    const { schoolId, from, to } = req.query;
+    const yearLevel = parseYearLevel(req.query.yearLevel);
+
+    if (!schoolId || !from || !to) {
+        return res.status(400).json({ 
+            error: 'Missing required parameters: schoolId, from and to (YYYY-MM-DD)' 
+        });
+    }
+
+    // Validate the date: the format, and that it exists (no 2026-02-30)
+    if (!isDate(from) || !isDate(to)) {
+        return res.status(400).json({ 
+            error: 'Invalid date. Use a real date in YYYY-MM-DD format' 
+        });
+    }
+
+    if (from > to) {
+        return res.status(400).json({ 
+            error: 'Invalid range: from must be on or before to' 
+        });
+    }
+
+    if (yearLevel === undefined) {
+        return res.status(400).json({ 
+            error: 'Invalid yearLevel. Use Prep or 1-12' 
+        });
+    }
+
+    try {
+        const result = await countSchoolDaysBetween(schoolId, from, to, { yearLevel });
+        res.json(result);
+    } catch (error) {
+        console.error('Error counting school days:', error);
+        res.status(500).json({ 
+            error: 'Failed to count school days',
+            message: error.message 
+        });
+    }
+});
+
+const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Validate a household body: { name, members: [{name, schoolId, yearLevel?}] }
+ * @returns {{error: string}|{name: string, members: Array}} - yearLevel parsed to 0-12 or null
+ */
+function parseHouseholdBody(body) {
+    const { name, members } = body;
+
+    if (!isNonEmptyString(name)) {
+        return { error: 'Missing required field: name' };
+    }
+
+    if (!Array.isArray(members) || members.length === 0) {
+        return { error: 'Missing required field: members (at least one child)' };
+    }
+
+    const parsed = [];
+    for (const member of members) {
+        if (!member || !isNonEmptyString(member.name) || !isNonEmptyString(member.schoolId)) {
+            return { error: 'Each member needs a name and schoolId' };
+        }
+
+        const yearLevel = parseYearLevel(member.yearLevel);
+        if (yearLevel === undefined) {
+            return { error: `Invalid yearLevel for ${member.name}. Use Prep or 1-12` };
+        }
+
+        parsed.push({ name: member.name, schoolId: member.schoolId, yearLevel });
+    }
+
+    return { name, members: parsed };
+}
+
+/**
+ * GET /api/households
+ * List saved households with their members
+ */
+app.get('/api/households', async (req, res) => {
+    try {
+        res.json(await listHouseholds());
+    } catch (error) {
+        console.error('Error fetching households:', error);
+        res.status(500).json({ error: 'Failed to fetch households' });
+    }
+});
+
+/**
+ * POST /api/households
+ * Save a household
+ * Body: { name, members: [{name, schoolId, yearLevel?}] }
+ */
+app.post('/api/households', async (req, res) => {
+    const household = parseHouseholdBody(req.body ?? {});
+
+    if (household.error) {
+        return res.status(400).json({ error: household.error });
+    }
+
+    try {
+        const saved = await createHousehold(household);
+        if (saved.error) {
+            return res.status(400).json({ error: saved.error });
+        }
+        res.status(201).json(saved);
+    } catch (error) {
+        console.error('Error creating household:', error);
+        res.status(500).json({ 
+            error: 'Failed to create household',
+            message: error.message 
+        });
+    }
+});
+
+/**
+ * GET /api/households/:id
+ * Get one household with its members
+ */
+app.get('/api/households/:id', async (req, res) => {
+    try {
+        const household = await getHousehold(req.params.id);
+        if (!household) {
+            return res.status(404).json({ error: 'Household not found' });
+        }
+        res.json(household);
+    } catch (error) {
+        console.error('Error fetching household:', error);
+        res.status(500).json({ error: 'Failed to fetch household' });
+    }
+});
+
+/**
+ * PUT /api/households/:id
+ * Replace a household's name and members
+ * Body: { name, members: [{name, schoolId, yearLevel?}] }
+ */
+app.put('/api/households/:id', async (req, res) => {
+    const household = parseHouseholdBody(req.body ?? {});
+
+    if (household.error) {
+        return res.status(400).json({ error: household.error });
+    }
+
+    try {
+        const saved = await updateHousehold(req.params.id, household);
+        if (!saved) {
+            return res.status(404).json({ error: 'Household not found' });
+        }
+        if (saved.error) {
+            return res.status(400).json({ error: saved.error });
+        }
+        res.json(saved);
+    } catch (error) {
+        console.error('Error updating household:', error);
+        res.status(500).json({ 
+            error: 'Failed to update household',
+            message: error.message 
+        });
+    }
+});
+
+/**
+ * DELETE /api/households/:id
+ * Delete a household and its members
+ */
+app.delete('/api/households/:id', async (req, res) => {
+    try {
+        const deleted = await deleteHousehold(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Household not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error deleting household:', error);
+        res.status(500).json({ error: 'Failed to delete household' });
+    }
+});
+
+/**
+ * GET /api/households/:id/check
+ * Which children have school on a date
+ * Query params: date (YYYY-MM-DD)
+ */
+app.get('/api/households/:id/check', async (req, res) => {
+    const { date } = req.query;
+
+    if (!date) {
+        return res.status(400).json({ 
+            error: 'Missing required parameter: date (YYYY-MM-DD)' 
+        });
+    }
+
+    // Validate the date: the format, and that it exists (no 2026-02-30)
+    if (!isDate(date)) {
+        return res.status(400).json({ 
+            error: 'Invalid date. Use a real date in YYYY-MM-DD format' 
+        });
+    }
+
+    try {
+        const result = await checkHousehold(req.params.id, date);
+        if (!result) {
+            return res.status(404).json({ error: 'Household not found' });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Error checking household:', error);
+        res.status(500).json({ 
+            error: 'Failed to check household',
+            message: error.message 
+        });
+    }
+});
+
 /**
  * GET /api/emergency
  * Check for emergency school closures (silent background check)
- * Query params: schoolName, date (YYYY-MM-DD)
+ * Query params: schoolName (its current name, a former name or an alias), date (YYYY-MM-DD),
+ *               state (optional: the school's state is looked up by name when not given)
  */
 app.get('/api/emergency', async (req, res) => {
     const { schoolName, date } = req.query;
@@ -116,60 +558,20 @@ app.get('/api/emergency', async (req, res) => {
         });
     }
 
-    try {
-        // Scrape closures.qld.edu.au for emergency closures
-        const response = await fetch('https://closures.qld.edu.au/');
-        
-        if (!response.ok) {
-            throw new Error(`Failed to fetch closures: ${response.status}`);
-        }
-        
-        const html = await response.text();
-        const $ = cheerio.load(html);
-        
-        // Look for the school name in the closures list
-        // Note: The actual HTML structure may vary - this is a basic implementation
-        let isClosed = false;
-        let reason = null;
-        let details = null;
-        
-        // Search for school name in various possible locations
-        // This is a simplified check - you may need to adjust based on actual HTML
-        $('body').each((i, elem) => {
-            const text = $(elem).text().toLowerCase();
-            if (text.includes(schoolName.toLowerCase())) {
-                isClosed = true;
-                
-                // Try to extract closure details
-                const schoolElement = $(elem).closest('*:contains("' + schoolName + '")');
-                if (schoolElement.length > 0) {
-                    reason = 'Emergency Closure';
-                    // Look for nearby text that might explain the reason
-                    const nearbyText = schoolElement.next().text() || 
-                                       schoolElement.parent().text();
-                    if (nearbyText && nearbyText !== schoolName) {
-                        details = nearbyText.trim().substring(0, 200);
-                    }
-                }
-            }
-        });
-        
-        // Also check for common closure reasons
-        if ($(':contains("flood")').length > 0 || 
-            $(':contains("cyclone")').length > 0 ||
-            $(':contains("storm")').length > 0) {
-            if (isClosed) {
-                reason = reason || 'Weather-related Closure';
-            }
-        }
-        
-        res.json({
-            isClosed,
-            reason,
-            details,
-            checkedAt: new Date().toISOString()
+    if (!isDate(date)) {
+        return res.status(400).json({
+            error: 'Invalid date. Use a real date in YYYY-MM-DD format'
+        });
+    }
+
+    if (req.query.state !== undefined && !STATE_CODES.includes(req.query.state)) {
+        return res.status(400).json({
+            error: `Invalid state. Use one of: ${STATE_CODES.join(', ')}`
         });
-        
+    }
+
+    try {
+        res.json(await checkEmergencyClosure({ schoolName, date, state: req.query.state }));
     } catch (error) {
         console.error('Error checking emergency closures:', error);
         // Don't fail the entire request - just return no emergency
@@ -183,6 +585,46 @@ app.get('/api/emergency', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/audit
+ * Change history of the calendar data (term rules, public holidays, schools and
+ * school events), newest first, with each row's values before and after
+ * Query params: schoolId (optional: changes that can affect that school's answers),
+ *               table (optional), recordId (optional),
+ *               from, to (optional: YYYY-MM-DD, days the changes were made, UTC),
+ *               limit (optional: 1-500, default 100)
+ */
+app.get('/api/audit', async (req, res) => {
+    const { schoolId, table, recordId, from, to } = req.query;
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+
+    if (table !== undefined && !repositories.audit.AUDITED_TABLES.includes(table)) {
+        return res.status(400).json({
+            error: `Invalid table. Use one of: ${repositories.audit.AUDITED_TABLES.join(', ')}`
+        });
+    }
+
+    if ((from !== undefined && !isDate(from)) || (to !== undefined && !isDate(to))) {
+        return res.status(400).json({
+            error: 'Invalid date. Use a real date in YYYY-MM-DD format'
+        });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > repositories.audit.MAX_CHANGES) {
+        return res.status(400).json({
+            error: `Invalid limit. Use 1-${repositories.audit.MAX_CHANGES}`
+        });
+    }
+
+    try {
+        const entries = await repositories.audit.findChanges({ schoolId, table, recordId, fromDate: from, toDate: to, limit });
+        res.json({ entries });
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({ error: 'Failed to fetch audit log', message: error.message });
+    }
+});
+
 /**
  * Health check endpoint
  */
@@ -194,12 +636,28 @@ app.get('/api/health', (req, res) => {
 app.listen(PORT, () => {
     console.log(`✅ Server running on http://localhost:${PORT}`);
     console.log(`📚 API endpoints:`);
-    console.log(`   GET  /api/schools - Get all schools`);
+    console.log(`   GET  /api/schools?state=NSW&sector=kindy - Get all schools (optionally one state or sector)`);
     console.log(`   GET  /api/check?schoolId=...&date=YYYY-MM-DD - Check school status`);
     console.log(`   POST /api/check - Check school status (body: {schoolId, date})`);
+    console.log(`   POST /api/check/batch - Check many schools/dates (body: {items} or {schoolIds, dates})`);
+    console.log(`   GET  /api/calendar?schoolId=...&from=YYYY-MM-DD&to=YYYY-MM-DD - Daily status for a range`);
+    console.log(`   GET  /api/progress?schoolId=...&date=YYYY-MM-DD - Week of term and school days left`);
+    console.log(`   GET  /api/school-days?schoolId=...&from=YYYY-MM-DD&to=YYYY-MM-DD - Count school days`);
+    console.log(`   GET/POST /api/households, GET/PUT/DELETE /api/households/:id - Manage households`);
+    console.log(`   GET  /api/households/:id/check?date=YYYY-MM-DD - Which kids have school`);
+    console.log(`   GET  /api/audit?schoolId=...&from=YYYY-MM-DD - Change history of the calendar data`);
     console.log(`   GET  /api/health - Health check`);
 });
 
+// Reload the calendar cache after writes made outside this process (e.g. the school importer)
+process.on('SIGHUP', () => {
+    calendarCache.reload()
+        .then(() => dayStatusTable.syncAll())
+        .catch((err) => {
+            console.error('Failed to reload calendar cache:', err);
+        });
+});
+
 // Graceful shutdown
 process.on('SIGINT', async () => {
     console.log('\n🛑 Shutting down server...');
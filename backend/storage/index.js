@@ -0,0 +1,49 @@
+const path = require('path');
+const { createSqliteStorage } = require('./sqlite');
+const { createMemoryStorage } = require('./memory');
+const { createPostgresStorage } = require('./postgres');
+
+/**
+ * Storage adapters
+ * The backend talks to its database only through this interface, so the same
+ * code runs on a local SQLite file, in memory for tests, or on PostgreSQL.
+ * Statements are written in SQLite's dialect with ? placeholders; adapters for
+ * other databases translate them.
+ *
+ * @typedef {Object} Storage
+ * @property {string} name - Adapter name, e.g. "sqlite"
+ * @property {() => Promise<void>} open - Connect
+ * @property {(sql: string, params?: Array) => Promise<Array<Object>>} query - Resolve with all rows
+ * @property {(sql: string, params?: Array) => Promise<number>} run - Resolve with the number of rows changed
+ * @property {(work: (db: {query: Function, run: Function}) => Promise<*>, options?: {rollback?: boolean}) => Promise<*>} transaction -
+ *   Run work in a transaction, with query and run that use the transaction's connection;
+ *   commit when it resolves (or roll back if options.rollback), roll back when it throws.
+ *   No other statement lands in the transaction.
+ * @property {() => Promise<void>} close - Disconnect
+ */
+
+const DEFAULT_SQLITE_PATH = path.join(__dirname, '..', 'school_status.db');
+
+const ADAPTERS = {
+    sqlite: config => createSqliteStorage({ filename: config.SQLITE_PATH || DEFAULT_SQLITE_PATH }),
+    memory: () => createMemoryStorage(),
+    postgres: config => createPostgresStorage({ connectionString: config.DATABASE_URL })
+};
+
+/**
+ * Create the storage adapter named by the configuration
+ * @param {Object} [config] - Environment-style settings (defaults to process.env):
+ *   STORAGE (sqlite, memory or postgres; default sqlite), SQLITE_PATH, DATABASE_URL
+ * @returns {Storage}
+ */
+function createStorage(config = process.env) {
+    const adapter = config.STORAGE || 'sqlite';
+    if (!ADAPTERS[adapter]) {
+        throw new Error(`Unknown STORAGE "${adapter}". Use one of: ${Object.keys(ADAPTERS).join(', ')}`);
+    }
+    return ADAPTERS[adapter](config);
+}
+
+module.exports = {
+    createStorage
+};
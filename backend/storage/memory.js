@@ -0,0 +1,15 @@
+const { createSqliteStorage } = require('./sqlite');
+
+/**
+ * In-memory storage: a private SQLite database that lives as long as the process
+ * Every start migrates and seeds a fresh copy, so runs are fast, never touch
+ * school_status.db and always begin from the same data - what tests want.
+ * @returns {import('./index').Storage}
+ */
+function createMemoryStorage() {
+    return createSqliteStorage({ filename: ':memory:', name: 'memory' });
+}
+
+module.exports = {
+    createMemoryStorage
+};
@@ -0,0 +1,124 @@
+const sqlite3 = require('sqlite3').verbose();
+
+/**
+ * SQLite storage: one connection to a database file (or ':memory:')
+ * A transaction on SQLite belongs to the connection, not to whoever began it,
+ * so while one runs it has the connection to itself: statements from outside
+ * it wait until it ends instead of landing in it (and in its rollback).
+ * @param {Object} options
+ * @param {string} options.filename - Database file path, or ':memory:'
+ * @param {string} [options.name] - Adapter name for logs
+ * @returns {import('./index').Storage}
+ */
+function createSqliteStorage({ filename, name = 'sqlite' }) {
+    let db = null;
+    // Settles when the running (or last queued) transaction ends; null when none is
+    let lock = null;
+    // Statements running outside a transaction, which one waits for before it begins
+    const active = new Set();
+
+    const connection = () => {
+        if (!db) {
+            throw new Error('Storage not open. Call open() first.');
+        }
+        return db;
+    };
+
+    const all = (sql, params = []) => new Promise((resolve, reject) => {
+        connection().all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+
+    const change = (sql, params = []) => new Promise((resolve, reject) => {
+        connection().run(sql, params, function(err) {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(this.changes);
+            }
+        });
+    });
+
+    /**
+     * Run a statement once no transaction has the connection
+     */
+    async function outside(statement) {
+        while (lock) {
+            await lock;
+        }
+        const running = statement();
+        active.add(running);
+        try {
+            return await running;
+        } finally {
+            active.delete(running);
+        }
+    }
+
+    return {
+        name,
+
+        open() {
+            return new Promise((resolve, reject) => {
+                db = new sqlite3.Database(filename, (err) => (err ? reject(err) : resolve()));
+            });
+        },
+
+        query(sql, params = []) {
+            return outside(() => all(sql, params));
+        },
+
+        run(sql, params = []) {
+            return outside(() => change(sql, params));
+        },
+
+        async transaction(work, { rollback = false } = {}) {
+            // Claim the connection now, so nothing new starts outside the transaction,
+            // then wait for the transaction before this one and what's already running
+            const previous = lock;
+            let release;
+            const current = new Promise(resolve => { release = resolve; });
+            lock = current;
+
+            try {
+                await previous;
+                await Promise.allSettled([...active]);
+
+                await change('BEGIN');
+                try {
+                    const value = await work({ query: all, run: change });
+                    await change(rollback ? 'ROLLBACK' : 'COMMIT');
+                    return value;
+                } catch (error) {
+                    await change('ROLLBACK');
+                    throw error;
+                }
+            } finally {
+                if (lock === current) {
+                    lock = null;
+                }
+                release();
+            }
+        },
+
+        close() {
+            return new Promise((resolve, reject) => {
+                if (!db) {
+                    resolve();
+                    return;
+                }
+                db.close((err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        db = null;
+                        resolve();
+                    }
+                });
+            });
+        }
+    };
+}
+
+module.exports = {
+    createSqliteStorage
+};
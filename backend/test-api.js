@@ -1,50 +1,432 @@
 /**
  * Quick test script to verify the API works
- * Run: node test-api.js
+ * Run: npm test (in memory, seeded fresh every run), or node test-api.js with
+ * STORAGE=sqlite to test against school_status.db. Exits with 1 when a check fails.
+ * Set TEST_DATABASE_URL to a scratch PostgreSQL database to check the
+ * PostgreSQL adapter against it too; without it those checks are skipped.
  */
 
-const { initializeDatabase, getDatabase } = require('./database');
-const { checkSchoolStatus } = require('./logic');
+process.env.STORAGE = process.env.STORAGE || 'memory';
+
+const { initializeDatabase, query } = require('./database');
+const { seedDatabase } = require('./seed');
+const repositories = require('./repositories');
+const { checkSchoolStatus, checkSchoolStatusBatch, getSchoolCalendar } = require('./logic');
+const { createStorage } = require('./storage');
+const { toPostgres } = require('./storage/postgres');
+const { parseCsv, readDirectory, importSchools } = require('./importSchools');
+const { openSchool, mergeSchool } = require('./schoolLifecycle');
+const { checkEmergencyClosure } = require('./emergency');
+const { createHousehold, listHouseholds } = require('./households');
+const { expandEventDates, parseRRule } = require('../shared/recurrence.js');
+const { createCalendar, getStatus } = require('../shared/statusEngine.js');
+
+let failures = 0;
+
+/**
+ * Print one check, counting it when it fails
+ */
+function check(passed, message) {
+    if (!passed) {
+        failures++;
+    }
+    console.log(`${passed ? '✅' : '❌'} ${message}`);
+}
+
+/**
+ * Fail a transaction while another write runs alongside it, then commit one
+ * Resolves with the ids left in a scratch table: the other write's and the
+ * committed one's (2 and 3), never the rolled-back one's.
+ */
+async function checkTransactions(storage) {
+    const insert = 'INSERT INTO transaction_check (id) VALUES (?)';
+    await storage.run('DROP TABLE IF EXISTS transaction_check');
+    await storage.run('CREATE TABLE transaction_check (id INTEGER PRIMARY KEY)');
+
+    let outside = null;
+    await storage.transaction(async ({ run }) => {
+        await run(insert, [1]);
+        outside = storage.run(insert, [2]);
+        throw new Error('rolled back');
+    }).catch(() => {});
+    await outside;
+    await storage.transaction(({ run }) => run(insert, [3]));
+
+    const rows = await storage.query('SELECT id FROM transaction_check ORDER BY id');
+    await storage.run('DROP TABLE transaction_check');
+    return rows.map(row => Number(row.id));
+}
 
 async function test() {
     try {
         // Initialize database
         await initializeDatabase();
-        const db = getDatabase();
 
         // Get a school ID
-        db.get("SELECT id, name FROM schools WHERE name = 'The Gap State School' LIMIT 1", [], async (err, school) => {
-            if (err || !school) {
-                console.error('❌ Could not find test school');
-                process.exit(1);
+        const school = await repositories.schools.findSchoolByName('The Gap State School');
+        if (!school) {
+            console.error('❌ Could not find test school');
+            process.exit(1);
+        }
+
+        console.log(`\n🧪 Testing with school: ${school.name} (${school.id})\n`);
+
+        // Test cases
+        const testCases = [
+            { date: '2026-01-27', expected: 'Open', description: 'First day of Term 1 (Prep Orientation Day only closes Prep)' },
+            { date: '2026-01-27', yearLevel: 0, expected: 'Closed', description: 'Prep Orientation Day (Prep only)' },
+            { date: '2026-01-26', expected: 'Closed', description: 'Australia Day (Public Holiday)' },
+            { date: '2026-01-31', expected: 'Closed', description: 'Saturday (Weekend)' },
+            { date: '2026-02-01', expected: 'Closed', description: 'Sunday (Weekend)' },
+            { date: '2026-02-03', expected: 'Open', description: 'Regular term day' },
+            { date: '2026-04-10', expected: 'Closed', description: 'School Holidays (between terms)' },
+        ];
+
+        for (const testCase of testCases) {
+            try {
+                const result = await checkSchoolStatus(testCase.date, school.id, { yearLevel: testCase.yearLevel ?? null });
+                check(result.status === testCase.expected, `${testCase.date} - ${result.status} (${result.reason}) - ${testCase.description || ''}`);
+            } catch (error) {
+                check(false, `${testCase.date} - Error: ${error.message}`);
+            }
+        }
+
+        // Calendar range should agree with the single-day checks
+        try {
+            const calendar = await getSchoolCalendar(school.id, '2026-09-01', '2026-09-07');
+            const pdDay = calendar.days.find(day => day.date === '2026-09-04');
+            check(
+                calendar.days.length === 7 && pdDay && pdDay.rule === 'school_event',
+                `calendar 2026-09-01..2026-09-07 - ${calendar.days.length} days, 2026-09-04 decided by ${pdDay && pdDay.rule}`
+            );
+        } catch (error) {
+            check(false, `calendar - Error: ${error.message}`);
+        }
+
+        // Batch answers should match the single checks, with per-item errors
+        try {
+            const results = await checkSchoolStatusBatch([
+                ...testCases.map(testCase => ({ schoolId: school.id, date: testCase.date, yearLevel: testCase.yearLevel })),
+                { schoolId: 'missing-school', date: '2026-02-03' }
+            ]);
+            const singles = await Promise.all(testCases.map(testCase => (
+                checkSchoolStatus(testCase.date, school.id, { yearLevel: testCase.yearLevel ?? null })
+            )));
+            const matches = singles.every((single, i) => results[i].status === single.status && results[i].reason === single.reason);
+            const missing = results[testCases.length];
+            check(matches && missing.status === 'Error', `batch - ${results.length} results, unknown school: ${missing.reason}`);
+        } catch (error) {
+            check(false, `batch - Error: ${error.message}`);
+        }
+
+        // Recurrence rules expand to the dates RFC 5545 gives, and FREQ=TERMLY to term days
+        const terms = [{ start_date: '2026-01-27', end_date: '2026-04-02' }, { start_date: '2026-04-20', end_date: '2026-06-26' }];
+        const recurrenceCases = [
+            { event_date: '2026-02-02', rrule: 'FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4', exdates: ['2026-02-04'], expected: ['2026-02-02', '2026-02-09', '2026-02-11'] },
+            { event_date: '2026-01-30', rrule: 'FREQ=MONTHLY;BYDAY=-1FR;UNTIL=20260430', expected: ['2026-01-30', '2026-02-27', '2026-03-27', '2026-04-24'] },
+            { event_date: '2026-01-05', rrule: 'FREQ=YEARLY;BYDAY=10MO', expected: ['2026-03-09', '2027-03-08'] },
+            { event_date: '2026-01-31', rrule: 'FREQ=YEARLY;BYMONTHDAY=-1;COUNT=3', expected: ['2026-01-31', '2026-02-28', '2026-03-31'] },
+            { event_date: '2026-01-27', rrule: 'FREQ=TERMLY;BYDAY=-1FR', expected: ['2026-03-27', '2026-06-26'] },
+            { event_date: '2026-01-27', rrule: 'FREQ=TERMLY', expected: ['2026-01-27', '2026-04-20'] }
+        ];
+        for (const { expected, ...event } of recurrenceCases) {
+            const dates = expandEventDates(event, { horizon: '2027-12-31', terms });
+            check(JSON.stringify(dates) === JSON.stringify(expected), `rrule ${event.rrule} - ${dates.join(', ')}`);
+        }
+
+        for (const rrule of ['FREQ=DAILY;INTERVAL=0', 'FREQ=WEEKLY;INTERVAL=-2', 'FREQ=DAILY;COUNT=-1', 'FREQ=DAILY;COUNT=1.5', 'FREQ=YEARLY;BYMONTH=13']) {
+            let rejected = false;
+            try {
+                parseRRule(rrule);
+            } catch {
+                rejected = true;
+            }
+            check(rejected, `rrule ${rrule} - rejected`);
+        }
+
+        // A calendar with no term dates and no events is empty, and can't answer
+        const emptyCalendar = createCalendar({});
+        const emptyStatus = getStatus('2026-03-03', emptyCalendar);
+        const eventsOnly = createCalendar({ events: [{ event_date: '2026-12-01', name: 'Fair', is_closure: false, rrule: 'FREQ=WEEKLY' }] });
+        check(
+            emptyCalendar.termsByYear.size === 0 && emptyCalendar.eventDates.length === 0 && emptyStatus.status === 'Error'
+                && eventsOnly.eventDates.length === 5 && eventsOnly.eventDates[4] === '2026-12-29',
+            `createCalendar - empty calendar: ${emptyStatus.reason}; weekly event without term dates runs to the end of its year`
+        );
+
+        // The seeded early finish repeats every Wednesday of term, except its exdate
+        const earlyFinishes = await Promise.all(['2026-02-04', '2026-04-08', '2026-04-22', '2026-04-29'].map(async date => {
+            const result = await checkSchoolStatus(date, 'payne-road-state-school');
+            return result.events.some(event => event.name === 'Early Finish Wednesday');
+        }));
+        check(
+            JSON.stringify(earlyFinishes) === JSON.stringify([true, false, false, true]),
+            `FREQ=TERMLY;BYDAY=WE - early finish on 2026-02-04 and 2026-04-29, not in the holidays or on its exdate`
+        );
+
+        // Updates and deletes of calendar rows are logged with the row before and after,
+        // and checks see them straight away
+        try {
+            const auditOptions = { changedBy: 'test-api' };
+            await repositories.events.updateEvent('pd-day-2026-gap-state-school', { name: 'Staff Planning Day' }, auditOptions);
+            const renamed = await checkSchoolStatus('2026-09-04', school.id);
+            const [update] = await repositories.audit.findChanges({ table: 'school_events', recordId: 'pd-day-2026-gap-state-school', limit: 1 });
+            check(
+                renamed.reason === 'Staff Planning Day' && update.action === 'update'
+                    && update.before.name === 'Staff PD Day' && update.after.name === 'Staff Planning Day'
+                    && update.changedFields.join() === 'name' && update.changedBy === 'test-api',
+                `audit - event update logged (${update.before.name} -> ${update.after.name}), check says ${renamed.reason}`
+            );
+
+            await repositories.events.deleteEvent('pd-day-2026-gap-state-school', auditOptions);
+            const deleted = await checkSchoolStatus('2026-09-04', school.id);
+            const [removal] = await repositories.audit.findChanges({ schoolId: school.id, limit: 1 });
+            check(
+                deleted.status === 'Open' && removal.action === 'delete' && removal.before.name === 'Staff Planning Day' && removal.after === null,
+                `audit - event delete logged, 2026-09-04 now ${deleted.status} (${deleted.reason})`
+            );
+
+            await repositories.holidays.updateHoliday('qld-2026-01-26', { name: 'Australia Day (observed)' }, auditOptions);
+            await repositories.termRules.updateTermRule('qld-state-2026', { name: 'QLD State Schools 2026 (revised)' }, auditOptions);
+            const [holidayChange] = await repositories.audit.findChanges({ table: 'public_holidays', recordId: 'qld-2026-01-26', limit: 1 });
+            const [ruleChange] = await repositories.audit.findChanges({ table: 'term_rules', recordId: 'qld-state-2026', limit: 1 });
+            check(
+                holidayChange.before.name === 'Australia Day' && holidayChange.after.name === 'Australia Day (observed)'
+                    && ruleChange.action === 'update' && ruleChange.after.name === 'QLD State Schools 2026 (revised)',
+                `audit - holiday and term rule updates logged with before and after`
+            );
+        } catch (error) {
+            check(false, `audit - Error: ${error.message}`);
+        }
+
+        // Seeding again brings rows up to date with the data files, keeping changes made
+        // some other way: here the term dates read as if seeded from an older termDates.json
+        try {
+            const [rule] = await repositories.termRules.findTermRules(['qld-state'], 2026, 2026);
+            const staleTerms = rule.terms.map(term => (term.term === 4 ? { ...term, end_date: '2026-12-18' } : term));
+            await repositories.termRules.updateTermRule('qld-state-2026', { terms: staleTerms }, { changedBy: 'seed' });
+            const stale = await checkSchoolStatus('2026-12-18', school.id);
+
+            await seedDatabase();
+            const [reseeded] = await repositories.termRules.findTermRules(['qld-state'], 2026, 2026);
+            const corrected = await checkSchoolStatus('2026-12-18', school.id);
+            const [ruleChange] = await repositories.audit.findChanges({ table: 'term_rules', recordId: 'qld-state-2026', limit: 1 });
+            check(
+                stale.status === 'Open' && corrected.status === 'Closed'
+                    && JSON.stringify(reseeded.terms) === JSON.stringify(rule.terms)
+                    && ruleChange.changedBy === 'seed' && ruleChange.changedFields.join() === 'term_dates'
+                    && ruleChange.after.name === 'QLD State Schools 2026 (revised)',
+                `seed - corrected term dates updated (2026-12-18 ${stale.status} -> ${corrected.status}), renamed rule kept its name`
+            );
+
+            const [holiday] = await repositories.holidays.findHolidays(['QLD'], '2026-01-26', '2026-01-26');
+            const [event] = await repositories.events.findEventsForSchools([school.id], '2026-09-04', '2026-09-04');
+            check(
+                holiday.name === 'Australia Day (observed)' && event && event.id === 'pd-day-2026-gap-state-school',
+                `seed - holiday renamed since kept "${holiday.name}", deleted seed event added back (${event && event.id})`
+            );
+        } catch (error) {
+            check(false, `seed - Error: ${error.message}`);
+        }
+
+        // Imported schools get the regional holidays of their postcode: the Ekka in Brisbane only
+        try {
+            const { records, skipped } = readDirectory([
+                'Centre Code,Centre Name,Sector,Centre Type,Suburb,Postcode,Region',
+                '0601,Ashgrove State School,State,Primary,Ashgrove,4060,Metropolitan',
+                '1234,Ipswich East State School,State,Primary,East Ipswich,4305,Metropolitan',
+                '0999,Not Queensland School,State,Primary,Sydney,2000,Metropolitan'
+            ].join('\n'));
+            const report = await importSchools(records, { changedBy: 'test-api' });
+            const brisbane = await checkSchoolStatus('2026-08-12', 'ashgrove-state-school');
+            const ipswich = await checkSchoolStatus('2026-08-12', 'ipswich-east-state-school');
+            check(
+                report.added.length === 2 && skipped.length === 1 && skipped[0].reason === 'Invalid postcode "2000"'
+                    && records[0].region === 'Brisbane' && records[1].region === null,
+                `importer - regions from postcodes (${records.map(record => record.region || 'none').join(', ')}), ${skipped.length} row skipped`
+            );
+            check(
+                brisbane.status === 'Closed' && ipswich.status === 'Open',
+                `importer - Ekka closes the Brisbane school (${brisbane.status}: ${brisbane.reason}), not Ipswich (${ipswich.status})`
+            );
+        } catch (error) {
+            check(false, `importer - Error: ${error.message}`);
+        }
+
+        // The directory CSV: quoted commas, doubled quotes, CRLF, a byte order mark and blank lines
+        try {
+            const rows = parseCsv('\uFEFFa,b\r\n"Ashgrove State School, The","Say ""hi"""\r\n\r\nx,"two\nlines"\n');
+            check(
+                JSON.stringify(rows) === JSON.stringify([['a', 'b'], ['Ashgrove State School, The', 'Say "hi"'], ['x', 'two\nlines']]),
+                `parseCsv - ${JSON.stringify(rows)}`
+            );
+
+            const { skipped } = readDirectory('Centre Code,Centre Name,Sector,Centre Type,Suburb,Postcode\n1,A,State,Primary,X,4000\n1,B,State,Primary,X,4000\n2,C,Other,Primary,X,4000');
+            let missingColumns = null;
+            try {
+                readDirectory('Centre Code,Centre Name\n1,A');
+            } catch (error) {
+                missingColumns = error.message;
             }
+            check(
+                skipped.map(row => `${row.line}: ${row.reason}`).join('; ') === '3: Centre code appears more than once; 4: Unknown sector "Other"'
+                    && missingColumns === 'Missing columns: sector, centre type, suburb, postcode',
+                `readDirectory - skipped ${skipped.length} rows, ${missingColumns}`
+            );
+        } catch (error) {
+            check(false, `readDirectory - Error: ${error.message}`);
+        }
 
-            console.log(`\n🧪 Testing with school: ${school.name} (${school.id})\n`);
-
-            // Test cases
-            const testCases = [
-                { date: '2026-01-27', expected: 'Closed', description: 'First day of Term 1 (Staff Preparation Day - school event)' },
-                { date: '2026-01-26', expected: 'Closed', description: 'Australia Day (Public Holiday)' },
-                { date: '2026-01-31', expected: 'Closed', description: 'Saturday (Weekend)' },
-                { date: '2026-02-01', expected: 'Closed', description: 'Sunday (Weekend)' },
-                { date: '2026-02-03', expected: 'Open', description: 'Regular term day' },
-                { date: '2026-04-10', expected: 'Closed', description: 'School Holidays (between terms)' },
-            ];
-
-            for (const testCase of testCases) {
-                try {
-                    const result = await checkSchoolStatus(testCase.date, school.id);
-                    const status = result.status;
-                    const icon = status === testCase.expected ? '✅' : '❌';
-                    console.log(`${icon} ${testCase.date} - ${status} (${result.reason}) - ${testCase.description || ''}`);
-                } catch (error) {
-                    console.error(`❌ ${testCase.date} - Error: ${error.message}`);
+        // Merged schools are answered for by their successors, following chains; the
+        // importer leaves them inactive while the directory still lists them
+        try {
+            const options = { changedBy: 'test-api' };
+            const directory = [
+                'Centre Code,Centre Name,Sector,Centre Type,Suburb,Postcode,Region',
+                '0601,Ashgrove State School,State,Primary,Ashgrove,4060,Metropolitan',
+                '1234,Ipswich East State School,State,Primary,East Ipswich,4305,Metropolitan',
+                '0777,Bardon State School,State,Primary,Bardon,4065,Metropolitan'
+            ].join('\n');
+            await importSchools(readDirectory(directory).records, options);
+            await openSchool('bardon-state-school', { ...options, on: '2026-11-02' });
+            await mergeSchool('ipswich-east-state-school', 'ashgrove-state-school', { ...options, on: '2026-10-06' });
+            await mergeSchool('ashgrove-state-school', 'bardon-state-school', { ...options, on: '2026-11-02' });
+
+            const beforeMerge = await checkSchoolStatus('2026-10-05', 'ipswich-east-state-school');
+            const merged = await checkSchoolStatus('2026-10-06', 'ipswich-east-state-school');
+            const chained = await checkSchoolStatus('2026-11-03', 'ipswich-east-state-school');
+            check(
+                beforeMerge.schoolName === 'Ipswich East State School' && !beforeMerge.resolvedFrom
+                    && merged.schoolId === 'ashgrove-state-school' && merged.resolvedFrom === 'ipswich-east-state-school'
+                    && chained.schoolId === 'bardon-state-school' && chained.status === 'Open',
+                `lifecycle - old ID answered by ${beforeMerge.schoolName}, then ${merged.schoolName}, then ${chained.schoolName}`
+            );
+
+            const notOpen = await checkSchoolStatus('2026-10-30', 'bardon-state-school');
+            check(
+                notOpen.status === 'Error' && notOpen.reason === 'Bardon State School is not open until 2026-11-02',
+                `lifecycle - before opened_on: ${notOpen.reason}`
+            );
+
+            let cycle = null;
+            try {
+                await mergeSchool('bardon-state-school', 'ipswich-east-state-school', { ...options, on: '2026-12-01' });
+            } catch (error) {
+                cycle = error.message;
+            }
+            check(cycle === 'ipswich-east-state-school already merges into bardon-state-school', `lifecycle - merge cycle refused: ${cycle}`);
+
+            const report = await importSchools(readDirectory(directory).records, options);
+            const [ipswich] = await repositories.schools.findSchoolsByIds(['ipswich-east-state-school']);
+            check(
+                ipswich.is_active === false && ipswich.successor_id === 'ashgrove-state-school'
+                    && report.closed.map(school => school.id).sort().join() === 'ashgrove-state-school,ipswich-east-state-school'
+                    && report.changed.length === 0,
+                `importer - merged schools still listed stay inactive, reported as closed (${report.closed.length})`
+            );
+        } catch (error) {
+            check(false, `lifecycle - Error: ${error.message}`);
+        }
+
+        // Current names are found ignoring case and spacing, like aliases and former names
+        try {
+            const lowercase = await repositories.schools.findSchoolByName('  bondi  public SCHOOL ');
+            const foundId = lowercase ? lowercase.id : null;
+            check(foundId === 'bondi-public-school', `findSchoolByName - "  bondi  public SCHOOL " is ${foundId}`);
+        } catch (error) {
+            check(false, `findSchoolByName - Error: ${error.message}`);
+        }
+
+        // States without a closures list say emergency closures can't be checked, not "not closed"
+        try {
+            const emergency = await checkEmergencyClosure({ schoolName: 'Bondi Public School', date: '2026-03-03' });
+            check(
+                emergency.supported === false && emergency.isClosed === null && emergency.state === 'NSW'
+                    && emergency.message === 'Emergency closures not supported for NSW: New South Wales publishes no closures list',
+                `emergency - ${emergency.message}`
+            );
+        } catch (error) {
+            check(false, `emergency - Error: ${error.message}`);
+        }
+
+        // A household that fails halfway leaves nothing behind, and takes no one else's write with it
+        try {
+            const event = {
+                id: 'household-interleave-test',
+                school_id: 'bondi-public-school',
+                event_date: '2026-11-20',
+                event_type: 'other',
+                name: 'Fete',
+                is_closure: false
+            };
+            const householdWrite = createHousehold({
+                name: 'Half Saved',
+                members: [{ name: 'Sam', schoolId: school.id }, { name: null, schoolId: school.id }]
+            }).then(() => null, error => error.message);
+            let settled = false;
+            householdWrite.finally(() => { settled = true; });
+            // Write the event once the household's row can be seen, i.e. mid-transaction if
+            // other statements could land in it, or once the household write is over
+            const eventWrite = (async () => {
+                while (!settled) {
+                    const seen = await query(`SELECT id FROM households WHERE name = 'Half Saved'`);
+                    if (seen.length > 0) {
+                        break;
+                    }
                 }
+                await repositories.events.createEvent(event, { changedBy: 'test-api' });
+            })();
+            const [failure] = await Promise.all([householdWrite, eventWrite]);
+            const halfSaved = (await listHouseholds()).filter(household => household.name === 'Half Saved');
+            const fete = await checkSchoolStatus(event.event_date, event.school_id);
+            check(
+                /not.null/i.test(failure) && halfSaved.length === 0 && fete.events.some(found => found.name === 'Fete'),
+                `households - failed write rolled back (${failure}), the event written meanwhile kept`
+            );
+            await repositories.events.deleteEvent(event.id, { changedBy: 'test-api' });
+        } catch (error) {
+            check(false, `households - Error: ${error.message}`);
+        }
+
+        // PostgreSQL placeholders are numbered outside quotes only
+        const translated = toPostgres(`SELECT * FROM schools WHERE id = ? AND name <> 'Why?' AND state = ?`);
+        check(
+            translated === `SELECT * FROM schools WHERE id = $1 AND name <> 'Why?' AND state = $2`,
+            `toPostgres - ${translated}`
+        );
+
+        // A transaction keeps its statements, and only its statements
+        try {
+            const storage = createStorage({ STORAGE: 'memory' });
+            await storage.open();
+            const ids = await checkTransactions(storage);
+            await storage.close();
+            check(ids.join() === '2,3', `transactions (memory) - kept ${ids.join(', ')}`);
+        } catch (error) {
+            check(false, `transactions (memory) - Error: ${error.message}`);
+        }
+
+        if (process.env.TEST_DATABASE_URL) {
+            try {
+                const storage = createStorage({ STORAGE: 'postgres', DATABASE_URL: process.env.TEST_DATABASE_URL });
+                await storage.open();
+                const [{ answer }] = await storage.query(`SELECT ? || '?' AS answer`, ['Why']);
+                const ids = await checkTransactions(storage);
+                await storage.close();
+                check(answer === 'Why?' && ids.join() === '2,3', `transactions (postgres) - kept ${ids.join(', ')}`);
+            } catch (error) {
+                check(false, `transactions (postgres) - Error: ${error.message}`);
             }
+        } else {
+            console.log('⏭️  transactions (postgres) - skipped: set TEST_DATABASE_URL to check against PostgreSQL');
+        }
 
-            console.log('\n✅ Tests completed!\n');
-            process.exit(0);
-        });
+        if (failures > 0) {
+            console.log(`\n❌ ${failures} check(s) failed\n`);
+            process.exit(1);
+        }
+        console.log('\n✅ Tests completed!\n');
+        process.exit(0);
     } catch (error) {
         console.error('❌ Test failed:', error);
         process.exit(1);
@@ -1,21 +1,26 @@
 import { useState, useEffect, useCallback } from 'react';
 import { AnimatePresence } from 'framer-motion';
-import { getSchools, getSchoolStatus } from './utils/schoolLogic';
+import { getSchools, getHouseholdStatus } from './utils/schoolLogic';
+import { loadHousehold, saveHousehold } from './utils/household';
 import LoadingAnimation from './components/LoadingAnimation';
 import SchoolResult from './components/SchoolResult';
+import HouseholdResult from './components/HouseholdResult';
+import HouseholdEditor from './components/HouseholdEditor';
 import TimeTravelerMessage from './components/TimeTravelerMessage';
 import DateInput from './components/DateInput';
 import { MapPin } from 'lucide-react';
 
 function App() {
   const [schools, setSchools] = useState([]);
-  const [selectedSchoolId, setSelectedSchoolId] = useState('');
+  // The household's children, each with a school and optional year level
+  const [members, setMembers] = useState([]);
   // Single source of truth: initialize to empty string on page reload
   const [dateStr, setDateStr] = useState("");
   const [isLoading, setIsLoading] = useState(false);
   const [isLoadingSchools, setIsLoadingSchools] = useState(true);
   const [result, setResult] = useState(null);
-  const [emergencyClosure, setEmergencyClosure] = useState(null);
+  // Emergency closures found for the checked schools, keyed by school name
+  const [emergencyClosures, setEmergencyClosures] = useState({});
   const [isCheckingEmergency, setIsCheckingEmergency] = useState(false);
 
   // Load schools locally (instant - no API call)
@@ -24,10 +29,8 @@ function App() {
       try {
         const schoolsData = getSchools();
         setSchools(schoolsData);
-        // Set first school as default if available
-        if (schoolsData.length > 0) {
-          setSelectedSchoolId(schoolsData[0].id);
-        }
+        // Restore the saved household (or start with one child at the first school)
+        setMembers(loadHousehold(schoolsData));
       } catch (error) {
         console.error('Failed to load schools:', error);
       } finally {
@@ -38,8 +41,15 @@ function App() {
     loadSchools();
   }, []);
 
+  // Remember the household for next visit
+  useEffect(() => {
+    if (!isLoadingSchools) {
+      saveHousehold(members);
+    }
+  }, [members, isLoadingSchools]);
+
   // Check for emergency closures (silent background check)
-  const checkEmergencyClosure = useCallback(async (schoolName, date) => {
+  const checkEmergencyClosure = useCallback(async (schoolName, state, date) => {
     if (!schoolName) return;
     
     setIsCheckingEmergency(true);
@@ -54,8 +64,8 @@ function App() {
         
         // Cache is valid for 10 minutes
         if (age < 10 * 60 * 1000) {
-          if (data.isClosed) {
-            setEmergencyClosure(data);
+          if (data.isClosed || data.supported === false) {
+            setEmergencyClosures((prev) => ({ ...prev, [schoolName]: data }));
           }
           setIsCheckingEmergency(false);
           return;
@@ -67,8 +77,8 @@ function App() {
         ? 'https://school-checker-epmh.onrender.com'
         : 'http://localhost:3000';
       
-      // Call backend API to check closures.qld.edu.au
-      const response = await fetch(`${API_BASE_URL}/api/emergency?schoolName=${encodeURIComponent(schoolName)}&date=${date}`);
+      // Call backend API to check the state's closures page (closures.qld.edu.au in QLD)
+      const response = await fetch(`${API_BASE_URL}/api/emergency?schoolName=${encodeURIComponent(schoolName)}&state=${state}&date=${date}`);
       
       if (response.ok) {
         const data = await response.json();
@@ -79,10 +89,9 @@ function App() {
           timestamp: Date.now()
         }));
         
-        if (data.isClosed) {
-          setEmergencyClosure(data);
-        } else {
-          setEmergencyClosure(null);
+        // A closure, or word that the state's closures can't be checked
+        if (data.isClosed || data.supported === false) {
+          setEmergencyClosures((prev) => ({ ...prev, [schoolName]: data }));
         }
       }
     } catch (error) {
@@ -94,9 +103,9 @@ function App() {
   }, []);
 
   const handleCheck = useCallback(async () => {
-    if (!selectedSchoolId || !dateStr || dateStr.trim() === '') {
+    if (members.length === 0 || !dateStr || dateStr.trim() === '') {
       setResult(null);
-      setEmergencyClosure(null);
+      setEmergencyClosures({});
       return;
     }
 
@@ -105,21 +114,17 @@ function App() {
     if (isNaN(dateObj.getTime())) {
       // Invalid date, don't proceed
       setResult(null);
-      setEmergencyClosure(null);
+      setEmergencyClosures({});
       return;
     }
 
     setIsLoading(true);
     setResult(null);
-    setEmergencyClosure(null);
+    setEmergencyClosures({});
 
     try {
-      // LOCAL calculation - instant result
-      const status = getSchoolStatus(selectedSchoolId, dateStr);
-      
-      // Get school name for display and emergency check
-      const school = schools.find(s => s.id === selectedSchoolId);
-      const schoolName = school ? school.name : '';
+      // LOCAL calculation - instant result, one answer per child
+      const household = getHouseholdStatus(members, dateStr);
       
       // Format date for display
       const formattedDate = dateObj.toLocaleDateString('en-AU', {
@@ -129,17 +134,17 @@ function App() {
         day: 'numeric'
       });
       
-      const result = {
-        ...status,
-        schoolName,
-        date: formattedDate
-      };
+      // A single child gets the full single-school view, several get the combined one
+      const result = members.length === 1
+        ? { ...household.members[0], date: formattedDate }
+        : { ...household, isHousehold: true, date: formattedDate };
       
       setResult(result);
       setIsLoading(false);
       
-      // Check emergency closure in background (non-blocking)
-      checkEmergencyClosure(schoolName, dateStr);
+      // Check emergency closures in background (non-blocking), once per school
+      const schoolStates = new Map(household.members.map(member => [member.schoolName, member.state]));
+      schoolStates.forEach((state, schoolName) => checkEmergencyClosure(schoolName, state, dateStr));
       
     } catch (error) {
       console.error('Error checking school status:', error);
@@ -156,23 +161,23 @@ function App() {
       });
       setIsLoading(false);
     }
-  }, [selectedSchoolId, dateStr, schools, checkEmergencyClosure]);
+  }, [members, dateStr, checkEmergencyClosure]);
 
-  // Auto-check when school or date changes (only if date is valid)
+  // Auto-check when the household or date changes (only if date is valid)
   useEffect(() => {
-    if (selectedSchoolId && dateStr && dateStr.trim() !== '') {
+    if (members.length > 0 && dateStr && dateStr.trim() !== '') {
       const dateObj = new Date(dateStr + 'T00:00:00');
       if (!isNaN(dateObj.getTime())) {
         handleCheck();
       } else {
         setResult(null);
-        setEmergencyClosure(null);
+        setEmergencyClosures({});
       }
     } else {
       setResult(null);
-      setEmergencyClosure(null);
+      setEmergencyClosures({});
     }
-  }, [selectedSchoolId, dateStr, handleCheck]);
+  }, [members, dateStr, handleCheck]);
 
 
   return (
@@ -186,7 +191,7 @@ function App() {
           <div className="flex items-center justify-center gap-2 text-ocean">
             <MapPin size={20} />
             <p className="text-lg text-gray-600">
-              Supporting the 4061 community
+              Supporting the 4061 community and school families Australia-wide
             </p>
           </div>
         </div>
@@ -194,33 +199,18 @@ function App() {
         {/* Input Section */}
         <div className="relative z-50 bg-white/80 backdrop-blur-sm rounded-2xl shadow-lg p-6 mb-8 border border-gray-200/50">
           <div className="space-y-4">
-            {/* School Selector */}
-            <div>
-              <label
-                htmlFor="school-select"
-                className="block text-sm font-semibold text-gray-700 mb-2"
-              >
-                Select School
-              </label>
-              {isLoadingSchools ? (
-                <div className="w-full px-4 py-3 rounded-xl border-2 border-ocean/30 bg-gray-100 text-gray-500 text-lg">
-                  Loading schools...
-                </div>
-              ) : (
-                <select
-                  id="school-select"
-                  value={selectedSchoolId}
-                  onChange={(e) => setSelectedSchoolId(e.target.value)}
-                  className="w-full px-4 py-3 rounded-xl border-2 border-ocean/30 focus:border-ocean focus:outline-none focus:ring-2 focus:ring-ocean/20 bg-white text-gray-800 font-medium text-lg transition-all"
-                >
-                  {schools.map((school) => (
-                    <option key={school.id} value={school.id}>
-                      {school.name}
-                    </option>
-                  ))}
-                </select>
-              )}
-            </div>
+            {/* Household: each child's school and year level */}
+            {isLoadingSchools ? (
+              <div className="w-full px-4 py-3 rounded-xl border-2 border-ocean/30 bg-gray-100 text-gray-500 text-lg">
+                Loading schools...
+              </div>
+            ) : (
+              <HouseholdEditor
+                members={members}
+                schools={schools}
+                onChange={setMembers}
+              />
+            )}
 
             {/* Date Input with Hybrid Support */}
             <DateInput
@@ -238,7 +228,22 @@ function App() {
             {isLoading ? (
               <LoadingAnimation key="loading" />
             ) : result ? (
-              result.timeTraveler ? (
+              result.isHousehold ? (
+                result.members.every(member => member.timeTraveler) ? (
+                  <TimeTravelerMessage
+                    key="time-traveler"
+                    schoolName={result.members[0].schoolName}
+                    date={result.date}
+                  />
+                ) : (
+                  <HouseholdResult
+                    key="household"
+                    members={result.members}
+                    date={result.date}
+                    emergencyClosures={emergencyClosures}
+                  />
+                )
+              ) : result.timeTraveler ? (
                 <TimeTravelerMessage
                   key="time-traveler"
                   schoolName={result.schoolName}
@@ -249,7 +254,7 @@ function App() {
                   key="result" 
                   result={result} 
                   selectedDate={dateStr}
-                  emergencyClosure={emergencyClosure}
+                  emergencyClosure={emergencyClosures[result.schoolName] || null}
                   isCheckingEmergency={isCheckingEmergency}
                 />
               )
@@ -260,7 +265,7 @@ function App() {
         {/* Footer */}
         <footer className="mt-12 text-center">
           <p className="text-sm text-slate-400">
-            &copy; 2026 The Gap School Status | Serving The Gap, QLD 4061
+            &copy; 2026 The Gap School Status | Serving The Gap, QLD 4061 and every state and territory
           </p>
         </footer>
       </div>
@@ -0,0 +1,120 @@
+import { UserPlus, X } from 'lucide-react';
+import { SECTORS, YEAR_LEVELS, formatYearLevel } from '../../../shared/statusEngine.js';
+import { STATE_CODES } from '../../../shared/states.js';
+import { createMember, getMemberLabel } from '../utils/household';
+
+const SECTOR_LABELS = {
+  state: 'State schools',
+  catholic: 'Catholic schools',
+  independent: 'Independent schools',
+  kindy: 'Kindergartens',
+};
+
+const selectClassName = 'w-full px-4 py-3 rounded-xl border-2 border-ocean/30 focus:border-ocean focus:outline-none focus:ring-2 focus:ring-ocean/20 bg-white text-gray-800 font-medium text-lg transition-all';
+
+/**
+ * Household editor - one row per child with their school and (optional) year level
+ */
+const HouseholdEditor = ({ members, schools, onChange }) => {
+  const updateMember = (id, changes) => {
+    onChange(members.map((member) => (member.id === id ? { ...member, ...changes } : member)));
+  };
+
+  const removeMember = (id) => {
+    onChange(members.filter((member) => member.id !== id));
+  };
+
+  // School picker grouped by state and sector, skipping groups without schools
+  const sectorGroups = STATE_CODES
+    .flatMap((state) => SECTORS.map((sector) => ({
+      key: `${state}-${sector}`,
+      label: `${SECTOR_LABELS[sector]} (${state})`,
+      schools: schools.filter((school) => school.state === state && (school.sector || 'state') === sector),
+    })))
+    .filter((group) => group.schools.length > 0);
+
+  const addMember = () => {
+    // Most families add a sibling at the same school - start them there
+    const lastSchoolId = members.length > 0 ? members[members.length - 1].schoolId : schools[0].id;
+    onChange([...members, createMember(lastSchoolId)]);
+  };
+
+  return (
+    <div>
+      <p className="block text-sm font-semibold text-gray-700 mb-2">
+        Your Kids
+      </p>
+
+      <div className="space-y-3">
+        {members.map((member, index) => (
+          <div
+            key={member.id}
+            className="p-3 rounded-xl border border-ocean/20 bg-white/60 space-y-2"
+          >
+            {/* Only worth naming children once there's more than one */}
+            {members.length > 1 && (
+              <div className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={member.name}
+                  onChange={(e) => updateMember(member.id, { name: e.target.value })}
+                  placeholder={getMemberLabel(member, index)}
+                  aria-label={`Name for ${getMemberLabel(member, index)}`}
+                  className="flex-1 px-3 py-2 rounded-lg border-2 border-ocean/30 focus:border-ocean focus:outline-none bg-white text-gray-800 font-medium"
+                />
+                <button
+                  onClick={() => removeMember(member.id)}
+                  className="p-2 rounded-full text-slate-400 hover:text-slate-600 hover:bg-slate-100 transition-colors duration-200"
+                  aria-label={`Remove ${getMemberLabel(member, index)}`}
+                >
+                  <X size={18} />
+                </button>
+              </div>
+            )}
+
+            <select
+              value={member.schoolId}
+              onChange={(e) => updateMember(member.id, { schoolId: e.target.value })}
+              aria-label={`School for ${getMemberLabel(member, index)}`}
+              className={selectClassName}
+            >
+              {sectorGroups.map((group) => (
+                <optgroup key={group.key} label={group.label}>
+                  {group.schools.map((school) => (
+                    <option key={school.id} value={school.id}>
+                      {school.name}
+                    </option>
+                  ))}
+                </optgroup>
+              ))}
+            </select>
+
+            <select
+              value={member.yearLevel ?? ''}
+              onChange={(e) => updateMember(member.id, { yearLevel: e.target.value === '' ? null : Number(e.target.value) })}
+              aria-label={`Year level for ${getMemberLabel(member, index)}`}
+              className={selectClassName}
+            >
+              <option value="">Whole school (any year level)</option>
+              {YEAR_LEVELS.map((level) => (
+                <option key={level} value={level}>
+                  {formatYearLevel(level)}
+                </option>
+              ))}
+            </select>
+          </div>
+        ))}
+      </div>
+
+      <button
+        onClick={addMember}
+        className="mt-3 flex items-center gap-2 text-sm font-semibold text-ocean hover:text-ocean/80 transition-colors duration-200"
+      >
+        <UserPlus size={16} />
+        Add another child
+      </button>
+    </div>
+  );
+};
+
+export default HouseholdEditor;
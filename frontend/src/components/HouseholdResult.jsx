@@ -0,0 +1,141 @@
+import { CheckCircle2, PartyPopper, Calendar, Shuffle, School as SchoolIcon } from 'lucide-react';
+import { formatYearLevel, summarizeHousehold } from '../../../shared/statusEngine.js';
+import { getMemberLabel } from '../utils/household';
+
+/**
+ * Combined answer for a household - which kids have school, highlighting mixed days
+ */
+const HouseholdResult = ({ members, date, emergencyClosures = {} }) => {
+  // An emergency closure overrides the calendar for that child's school
+  const children = members.map((member, index) => {
+    const emergency = emergencyClosures[member.schoolName];
+    const hasEmergency = Boolean(emergency && emergency.isClosed);
+    return {
+      ...member,
+      label: getMemberLabel(member, index),
+      hasEmergency,
+      isOpen: !member.timeTraveler && member.isOpen && !hasEmergency,
+      displayReason: hasEmergency ? (emergency.reason || 'Emergency Closure') : member.reason,
+    };
+  });
+
+  const summary = summarizeHousehold(children.map((child) => {
+    if (child.timeTraveler) return 'Error';
+    return child.isOpen ? 'Open' : 'Closed';
+  }));
+
+  // States whose emergency closures can't be checked (no published closures list)
+  const uncheckedStates = [...new Set(members
+    .map((member) => emergencyClosures[member.schoolName])
+    .filter((emergency) => emergency && emergency.supported === false)
+    .map((emergency) => emergency.state))];
+
+  const atSchool = children.filter((child) => child.isOpen).map((child) => child.label);
+  const atHome = children.filter((child) => !child.timeTraveler && !child.isOpen).map((child) => child.label);
+
+  const headline = summary.isMixed ? {
+    status: 'MIXED DAY',
+    message: `${atSchool.join(' & ')} ${atSchool.length === 1 ? 'has' : 'have'} school, ${atHome.join(' & ')} ${atHome.length === 1 ? "doesn't" : "don't"}.`,
+    text: 'text-violet-600',
+    bg: 'bg-gradient-to-br from-violet-50/80 to-fuchsia-50/60 backdrop-blur-sm',
+    border: 'border-2 border-violet-300/60',
+  } : summary.anyOpen ? {
+    status: 'YES',
+    message: "Pack the lunches! Everyone's at school.",
+    text: 'text-emerald-600',
+    bg: 'bg-gradient-to-br from-emerald-50/80 to-teal-50/60 backdrop-blur-sm',
+    border: 'border border-emerald-200/40',
+  } : {
+    status: 'NO',
+    message: 'Woohoo! Sleep in, everyone. 🎉',
+    text: 'text-orange-600',
+    bg: 'bg-gradient-to-br from-orange-50/80 to-amber-50/60 backdrop-blur-sm',
+    border: 'border border-orange-200/40',
+  };
+
+  return (
+    <div className="w-full max-w-lg mx-auto">
+      <div className={`relative rounded-3xl p-8 shadow-xl ${headline.bg} ${headline.border}`}>
+        {/* Top Section: Combined Status */}
+        <div className="text-center mb-6">
+          <div className="flex justify-center mb-4">
+            {summary.isMixed ? (
+              <Shuffle size={72} className={`${headline.text} drop-shadow-md`} />
+            ) : summary.anyOpen ? (
+              <CheckCircle2 size={72} className={`${headline.text} drop-shadow-md`} />
+            ) : (
+              <PartyPopper size={72} className={`${headline.text} drop-shadow-md`} />
+            )}
+          </div>
+          <h2 className={`text-5xl md:text-6xl font-black mb-3 ${headline.text}`}>
+            {headline.status}
+          </h2>
+          <p className="text-lg text-gray-600 font-medium">
+            {headline.message}
+          </p>
+          <div className="mt-4 flex items-center justify-center gap-2 text-gray-500">
+            <Calendar size={16} className="flex-shrink-0" />
+            <span className="text-sm">{date}</span>
+          </div>
+        </div>
+
+        {/* One row per child */}
+        <ul className="space-y-3">
+          {children.map((child) => (
+            <li
+              key={child.id}
+              className={`p-4 rounded-2xl bg-white/70 backdrop-blur-sm border shadow-sm text-left ${
+                summary.isMixed && child.isOpen ? 'border-emerald-300' : 'border-white/50'
+              }`}
+            >
+              <div className="flex items-center justify-between gap-3">
+                <div>
+                  <p className="font-bold text-gray-800">
+                    {child.label}
+                    {child.yearLevel !== null && child.yearLevel !== undefined && (
+                      <span className="ml-2 text-xs font-semibold text-slate-500">{formatYearLevel(child.yearLevel)}</span>
+                    )}
+                  </p>
+                  <p className="flex items-center gap-1 text-sm text-slate-500">
+                    <SchoolIcon size={14} className="flex-shrink-0" />
+                    {child.schoolName}
+                  </p>
+                </div>
+                <span
+                  className={`flex-shrink-0 px-3 py-1 rounded-full text-sm font-black ${
+                    child.timeTraveler
+                      ? 'bg-slate-100 text-slate-500'
+                      : child.hasEmergency
+                        ? 'bg-red-100 text-red-600'
+                        : child.isOpen
+                          ? 'bg-emerald-100 text-emerald-600'
+                          : 'bg-orange-100 text-orange-600'
+                  }`}
+                >
+                  {child.timeTraveler ? '?' : child.isOpen ? 'SCHOOL' : 'NO SCHOOL'}
+                </span>
+              </div>
+              {(!child.isOpen || child.timeTraveler) && child.displayReason && (
+                <p className={`mt-2 text-sm font-semibold ${child.hasEmergency ? 'text-red-700' : 'text-orange-900/80'}`}>
+                  {child.displayReason}
+                </p>
+              )}
+              {!child.hasEmergency && child.events && child.events.length > 0 && (
+                <p className="mt-1 text-xs text-slate-500">
+                  Also on: {child.events.map((event) => event.name).join(', ')}
+                </p>
+              )}
+            </li>
+          ))}
+        </ul>
+        {uncheckedStates.length > 0 && (
+          <p className="mt-4 text-xs text-center text-slate-400">
+            Emergency closures aren't published for {uncheckedStates.join(' or ')}, so they can't be checked here
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HouseholdResult;
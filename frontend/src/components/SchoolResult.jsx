@@ -1,11 +1,20 @@
 import { motion } from 'framer-motion';
 import { useEffect, useState } from 'react';
 import confetti from 'canvas-confetti';
-import { CheckCircle2, PartyPopper, Calendar, School as SchoolIcon, Clock, Share2, Check } from 'lucide-react';
+import { CheckCircle2, PartyPopper, Calendar, School as SchoolIcon, Clock, Share2, Check, Megaphone } from 'lucide-react';
 import WeatherWidget from './WeatherWidget';
+import WhyPanel from './WhyPanel';
+import TermProgress from './TermProgress';
+import { formatYearLevel } from '../../../shared/statusEngine.js';
+
+const formatShortDay = (dateStr) => new Date(dateStr + 'T00:00:00').toLocaleDateString('en-AU', {
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short',
+});
 
 const SchoolResult = ({ result, selectedDate, emergencyClosure, isCheckingEmergency }) => {
-  const { isOpen, reason, schoolName, date, nextChangeDate, countdownLabel, nextChangeReason } = result;
+  const { schoolId, state, latitude = null, longitude = null, yearLevel = null, isOpen, reason, schoolName, date, nextChangeDate, countdownLabel, nextChangeReason, periodEnd, closureEnd, events = [], explanation } = result;
   const [daysUntil, setDaysUntil] = useState(null);
   const [copied, setCopied] = useState(false);
   const [showEmergency, setShowEmergency] = useState(false);
@@ -325,6 +334,54 @@ const SchoolResult = ({ result, selectedDate, emergencyClosure, isCheckingEmerge
             </motion.div>
           )}
 
+          {/* Non-closure events happening on the day (carnivals, exam blocks, photo days...) */}
+          {!showEmergency && events.length > 0 && (
+            <motion.div
+              initial={{ opacity: 0, y: 5 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.45 }}
+              className="mt-4 w-full p-5 rounded-2xl bg-white/70 backdrop-blur-sm border border-white/50 shadow-sm"
+            >
+              <p className="text-xs uppercase tracking-widest text-slate-500 mb-3">
+                {isOpen ? 'OPEN — ALSO ON TODAY' : 'ALSO ON TODAY'}
+              </p>
+              <ul className="space-y-2">
+                {events.map((event) => (
+                  <li key={`${event.event_type}-${event.name}`} className="flex items-start gap-2 text-left">
+                    <Megaphone size={16} className={`flex-shrink-0 mt-1 ${themeColors.accent}`} />
+                    <div>
+                      <p className="font-bold text-gray-800">{event.name}</p>
+                      {event.start_date !== event.end_date && (
+                        <p className="text-xs font-semibold text-slate-500">
+                          {formatShortDay(event.start_date)} - {formatShortDay(event.end_date)}
+                        </p>
+                      )}
+                      {event.year_levels && (
+                        <p className="text-xs font-semibold text-slate-500">
+                          {event.is_closure ? 'No school for ' : 'For '}
+                          {event.year_levels.map(formatYearLevel).join(', ')}
+                        </p>
+                      )}
+                      {event.description && (
+                        <p className="text-sm text-slate-500">{event.description}</p>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </motion.div>
+          )}
+
+          {/* Rule-by-rule explanation of the answer */}
+          {!showEmergency && <WhyPanel explanation={explanation} />}
+
+          {/* States without a closures list can't be checked: say so rather than imply "not closed" */}
+          {emergencyClosure && emergencyClosure.supported === false && (
+            <p className="mt-2 text-xs text-slate-400">
+              Emergency closures aren't published for {emergencyClosure.state}, so they can't be checked here
+            </p>
+          )}
+
           {/* Emergency closure checking indicator */}
           {isCheckingEmergency && !showEmergency && !isOpen && (
             <motion.div
@@ -381,14 +438,37 @@ const SchoolResult = ({ result, selectedDate, emergencyClosure, isCheckingEmerge
                   {countdownDisplay.reason}
                 </p>
               )}
+              {/* A multi-day closure (camp, flood) runs until its last day */}
+              {closureEnd && closureEnd !== (isOpen ? nextChangeDate : selectedDate) && (
+                <p className="text-sm text-slate-500 mt-1">
+                  {isOpen ? nextChangeReason : reason} runs until{' '}
+                  {formatShortDay(closureEnd)}
+                </p>
+              )}
+              {periodEnd && periodEnd !== selectedDate && (
+                <p className="text-xs text-slate-400 mt-1">
+                  {isOpen ? 'Open until' : 'Closed until'}{' '}
+                  {formatShortDay(periodEnd)}
+                </p>
+              )}
             </motion.div>
           )}
 
           {/* Weather Widget */}
           {selectedDate && (
-            <WeatherWidget date={new Date(selectedDate + 'T00:00:00')} theme={isOpen ? 'green' : 'orange'} />
+            <WeatherWidget date={new Date(selectedDate + 'T00:00:00')} state={state} latitude={latitude} longitude={longitude} theme={isOpen ? 'green' : 'orange'} />
           )}
         </motion.div>
+
+        {/* Week of term and school days done / to go */}
+        {schoolId && selectedDate && !showEmergency && (
+          <TermProgress
+            schoolId={schoolId}
+            selectedDate={selectedDate}
+            yearLevel={yearLevel}
+            theme={isOpen ? 'green' : 'orange'}
+          />
+        )}
       </div>
     </motion.div>
   );
@@ -0,0 +1,108 @@
+import { useMemo, useState } from 'react';
+import { BarChart3 } from 'lucide-react';
+import { addDays } from '../../../shared/statusEngine.js';
+import { getTermProgressLocal, countSchoolDaysLocal } from '../utils/schoolLogic';
+
+const formatShortDate = (dateStr) => new Date(dateStr + 'T00:00:00').toLocaleDateString('en-AU', {
+  day: 'numeric',
+  month: 'short',
+});
+
+/**
+ * Term progress panel - "week N of Term X", school days done and to go,
+ * and a school-day counter up to any other date
+ */
+const TermProgress = ({ schoolId, selectedDate, yearLevel = null, theme = 'green' }) => {
+  const [untilDate, setUntilDate] = useState('');
+
+  const progress = useMemo(
+    () => getTermProgressLocal(schoolId, selectedDate, yearLevel),
+    [schoolId, selectedDate, yearLevel]
+  );
+
+  // School days from the day after the selected date up to the chosen date
+  const daysUntil = useMemo(() => {
+    if (!untilDate || untilDate <= selectedDate) return null;
+    return countSchoolDaysLocal(schoolId, addDays(selectedDate, 1), untilDate, yearLevel);
+  }, [schoolId, selectedDate, untilDate, yearLevel]);
+
+  if (!progress) return null;
+
+  const { term, nextTerm, schoolYear, terms } = progress;
+  const accent = theme === 'green' ? 'text-emerald-600' : 'text-orange-600';
+  const bar = theme === 'green' ? 'bg-emerald-500' : 'bg-orange-500';
+  const yearPercent = schoolYear.schoolDays.total > 0
+    ? Math.round((schoolYear.schoolDays.elapsed / schoolYear.schoolDays.total) * 100)
+    : 0;
+
+  return (
+    <div className="mt-3 p-5 rounded-2xl bg-white/70 backdrop-blur-sm border border-white/50 shadow-sm text-left">
+      <p className="flex items-center gap-2 text-xs uppercase tracking-widest text-slate-500 mb-3">
+        <BarChart3 size={14} />
+        TERM PROGRESS
+      </p>
+
+      {term ? (
+        <>
+          <p className={`text-xl font-black tracking-tight ${accent}`}>
+            Week {term.week} of Term {term.term}
+          </p>
+          <p className="text-sm text-slate-500">
+            {term.schoolDays.elapsed} of {term.schoolDays.total} school days done, {term.schoolDays.remaining} to go
+          </p>
+        </>
+      ) : (
+        <p className={`text-xl font-black tracking-tight ${accent}`}>
+          {nextTerm ? `Term ${nextTerm.term} starts ${formatShortDate(nextTerm.start_date)}` : 'School year is over'}
+        </p>
+      )}
+
+      {/* School year bar */}
+      <div className="mt-4">
+        <div className="flex justify-between text-xs text-slate-500 mb-1">
+          <span>{progress.year} school year</span>
+          <span>{schoolYear.schoolDays.elapsed} done · {schoolYear.schoolDays.remaining} to go</span>
+        </div>
+        <div className="h-2 rounded-full bg-slate-100 overflow-hidden">
+          <div className={`h-full rounded-full ${bar}`} style={{ width: `${yearPercent}%` }} />
+        </div>
+      </div>
+
+      {/* School days left until the end of each term still to come */}
+      <ul className="mt-3 space-y-1 text-sm text-slate-600">
+        {terms.filter((t) => t.untilEnd > 0).map((t) => (
+          <li key={t.term} className="flex justify-between">
+            <span>Until end of Term {t.term} ({formatShortDate(t.end_date)})</span>
+            <span className="font-semibold">{t.untilEnd} school days</span>
+          </li>
+        ))}
+      </ul>
+
+      {/* School days until any date */}
+      <div className="mt-4 pt-3 border-t border-gray-200/40">
+        <label htmlFor="school-days-until" className="block text-xs text-slate-500 mb-1">
+          Count school days until
+        </label>
+        <div className="flex items-center gap-3">
+          <input
+            id="school-days-until"
+            type="date"
+            value={untilDate}
+            min={selectedDate}
+            onChange={(e) => setUntilDate(e.target.value)}
+            className="px-3 py-1 rounded-lg border-2 border-ocean/30 focus:border-ocean focus:outline-none bg-white text-gray-800 text-sm"
+          />
+          {untilDate && (
+            <span className="text-sm font-semibold text-gray-700">
+              {daysUntil === null
+                ? (untilDate <= selectedDate ? 'Pick a later date' : 'No term dates that far ahead')
+                : `${daysUntil} school day${daysUntil === 1 ? '' : 's'}`}
+            </span>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TermProgress;
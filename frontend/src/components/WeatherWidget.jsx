@@ -1,15 +1,19 @@
 import { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { Sun, Droplet, Thermometer } from 'lucide-react';
+import { getStateConfig } from '../../../shared/states.js';
 
-const WeatherWidget = ({ date, theme = 'neutral' }) => {
+const WeatherWidget = ({ date, state = 'QLD', latitude: schoolLatitude = null, longitude: schoolLongitude = null, theme = 'neutral' }) => {
   const [weather, setWeather] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  // The Gap, QLD coordinates
-  const latitude = -27.4435;
-  const longitude = 152.9436;
+  // Forecast for the school's own location when known, else its state's
+  // (The Gap in QLD, the capital elsewhere)
+  const { timezone, weather: stateWeather } = getStateConfig(state);
+  const hasLocation = schoolLatitude !== null && schoolLongitude !== null;
+  const latitude = hasLocation ? schoolLatitude : stateWeather.latitude;
+  const longitude = hasLocation ? schoolLongitude : stateWeather.longitude;
 
   useEffect(() => {
     const fetchWeather = async () => {
@@ -38,7 +42,7 @@ const WeatherWidget = ({ date, theme = 'neutral' }) => {
         const dateStr = `${year}-${month}-${day}`;
 
         // Open-Meteo API endpoint for daily forecast
-        const url = `https://api.open-meteo.com/v1/forecast?latitude=${latitude}&longitude=${longitude}&daily=temperature_2m_max,precipitation_probability_max,uv_index_max&timezone=Australia/Brisbane&start_date=${dateStr}&end_date=${dateStr}`;
+        const url = `https://api.open-meteo.com/v1/forecast?latitude=${latitude}&longitude=${longitude}&daily=temperature_2m_max,precipitation_probability_max,uv_index_max&timezone=${timezone}&start_date=${dateStr}&end_date=${dateStr}`;
 
         const response = await fetch(url);
         if (!response.ok) {
@@ -65,7 +69,7 @@ const WeatherWidget = ({ date, theme = 'neutral' }) => {
     };
 
     fetchWeather();
-  }, [date]);
+  }, [date, latitude, longitude, timezone]);
 
   // Generate friendly tip based on weather conditions
   const getFriendlyTip = () => {
@@ -0,0 +1,98 @@
+import { useState } from 'react';
+import { HelpCircle, CheckCircle2, XCircle, ChevronDown } from 'lucide-react';
+import { formatYearLevel } from '../../../shared/statusEngine.js';
+
+const RULE_LABELS = {
+  school_event: 'School events',
+  public_holiday: 'Public holidays',
+  weekend: 'Weekend',
+  term: 'Term dates',
+  school_holidays: 'School holidays',
+};
+
+const formatShortDate = (dateStr) => new Date(dateStr + 'T00:00:00').toLocaleDateString('en-AU', {
+  day: 'numeric',
+  month: 'short',
+});
+
+// One line of detail per rule, describing what the engine found
+const describeStep = (step) => {
+  switch (step.rule) {
+    case 'school_event':
+      if (step.events.length === 0) return 'No events on this day';
+      return step.events.map((event) => {
+        const cohort = event.year_levels ? ` (${event.year_levels.map(formatYearLevel).join(', ')})` : '';
+        const range = event.start_date !== event.end_date ? ` (${formatShortDate(event.start_date)} - ${formatShortDate(event.end_date)})` : '';
+        const effect = event.is_closure ? (event.applies ? 'closes school' : 'not for this year level') : 'school stays open';
+        return `${event.name}${cohort}${range} - ${effect}`;
+      }).join('; ');
+    case 'public_holiday':
+      if (step.holidays.length === 0) return 'Not a public holiday';
+      return step.holidays.map((holiday) => (holiday.region ? `${holiday.name} (${holiday.region} only)` : holiday.name)).join(', ');
+    case 'weekend':
+      return step.dayOfWeek;
+    case 'term':
+      if (!step.termRuleFound) return `No term dates for ${step.year}`;
+      return step.term
+        ? `Term ${step.term.term} (${formatShortDate(step.term.start_date)} - ${formatShortDate(step.term.end_date)})`
+        : 'Outside all terms';
+    case 'school_holidays':
+      return step.matched ? 'Between terms' : 'Not between terms';
+    default:
+      return '';
+  }
+};
+
+/**
+ * "Why?" panel - shows every rule the status engine evaluated and which one won
+ */
+const WhyPanel = ({ explanation }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (!explanation) return null;
+
+  return (
+    <div className="mt-4 w-full">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="mx-auto flex items-center gap-1 text-sm text-slate-500 hover:text-slate-700 transition-colors duration-200"
+        aria-expanded={isOpen}
+      >
+        <HelpCircle size={16} />
+        Why?
+        <ChevronDown size={14} className={`transition-transform ${isOpen ? 'rotate-180' : ''}`} />
+      </button>
+
+      {isOpen && (
+        <ol className="mt-3 p-4 space-y-2 rounded-2xl bg-white/70 backdrop-blur-sm border border-white/50 shadow-sm text-left">
+          {explanation.steps.map((step) => {
+            const isWinner = step.rule === explanation.decidedBy;
+            return (
+              <li
+                key={step.rule}
+                className={`flex items-start gap-2 p-2 rounded-xl ${isWinner ? 'bg-slate-100' : ''}`}
+              >
+                {step.matched ? (
+                  <CheckCircle2 size={16} className="flex-shrink-0 mt-0.5 text-emerald-500" />
+                ) : (
+                  <XCircle size={16} className="flex-shrink-0 mt-0.5 text-slate-300" />
+                )}
+                <div>
+                  <p className="text-sm font-semibold text-gray-700">
+                    {step.priority}. {RULE_LABELS[step.rule]}
+                    {isWinner && (
+                      <span className="ml-2 text-xs uppercase tracking-widest text-slate-500">Decided</span>
+                    )}
+                  </p>
+                  <p className="text-xs text-slate-500">{describeStep(step)}</p>
+                </div>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default WhyPanel;
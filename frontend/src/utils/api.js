@@ -24,26 +24,12 @@ export const fetchSchools = async () => {
 
 /**
  * Check if a school is open on a specific date
- * @param {string} schoolId - School UUID
+ * @param {string} schoolId - School ID (e.g. "gap-state-school")
  * @param {Date} date - Date to check
- * @returns {Promise<{isOpen: boolean, reason: string, schoolName: string, date: string, timeTraveler?: boolean}>}
+ * @param {number|null} yearLevel - Year level (0 = Prep), null for the whole school
+ * @returns {Promise<{isOpen: boolean, reason: string, schoolName: string, date: string, events: Array}>} - Closed, with the backend's reason, for years without term dates
  */
-export const checkSchoolStatus = async (schoolId, date) => {
-  // Check if date is beyond 2026
-  const year = date.getFullYear();
-  if (year > 2026) {
-    return {
-      timeTraveler: true,
-      schoolName: '',
-      date: date.toLocaleDateString('en-AU', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-      }),
-    };
-  }
-
+export const checkSchoolStatus = async (schoolId, date, yearLevel = null) => {
   // Format date as YYYY-MM-DD using local time (avoid timezone issues)
   const yearStr = date.getFullYear();
   const monthStr = String(date.getMonth() + 1).padStart(2, '0');
@@ -51,7 +37,8 @@ export const checkSchoolStatus = async (schoolId, date) => {
   const dateStr = `${yearStr}-${monthStr}-${dayStr}`;
 
   try {
-    const response = await fetch(`${API_BASE_URL}/api/check?schoolId=${encodeURIComponent(schoolId)}&date=${dateStr}`);
+    const yearLevelParam = yearLevel !== null ? `&yearLevel=${yearLevel}` : '';
+    const response = await fetch(`${API_BASE_URL}/api/check?schoolId=${encodeURIComponent(schoolId)}&date=${dateStr}${yearLevelParam}&explain=true`);
 
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
@@ -85,13 +72,16 @@ export const checkSchoolStatus = async (schoolId, date) => {
       reason: data.reason || 'Unknown',
       schoolName: data.schoolName || '',
       date: formattedDate,
+      events: data.events || [], // Non-closure events (carnivals, photo days...)
       nextChangeDate: data.nextChangeDate || null,
       countdownLabel: data.countdownLabel || null,
       nextChangeReason: data.nextChangeReason || null, // Reason for the next change
+      periodEnd: data.periodEnd || null, // Last day of the current open/closed period
+      closureEnd: data.closureEnd || null, // Last day of the closure event the countdown is about
+      explanation: data.explanation || null, // Rule-by-rule trace for the "Why?" panel
     };
   } catch (error) {
     console.error('Error checking school status:', error);
     throw error;
   }
 };
-
@@ -0,0 +1,54 @@
+/**
+ * Household profile - the children the app checks together
+ * Saved in localStorage so the family only sets it up once
+ */
+
+const STORAGE_KEY = 'household';
+
+let nextMemberId = 1;
+
+/**
+ * Create a child entry for a school (whole school until a year level is picked)
+ */
+export const createMember = (schoolId, name = '') => ({
+  id: `member-${Date.now()}-${nextMemberId++}`,
+  name,
+  schoolId,
+  yearLevel: null,
+});
+
+/**
+ * Load the saved household, dropping children whose school no longer exists
+ * Falls back to a single child at the first school.
+ * @param {Array<{id: string}>} schools - Known schools
+ * @returns {Array<{id: string, name: string, schoolId: string, yearLevel: number|null}>}
+ */
+export const loadHousehold = (schools) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(saved)) {
+      const members = saved.filter((member) => schools.some((school) => school.id === member.schoolId));
+      if (members.length > 0) return members;
+    }
+  } catch (error) {
+    console.error('Failed to load household:', error);
+  }
+
+  return schools.length > 0 ? [createMember(schools[0].id)] : [];
+};
+
+/**
+ * Save the household for next time
+ */
+export const saveHousehold = (members) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(members));
+  } catch (error) {
+    console.error('Failed to save household:', error);
+  }
+};
+
+/**
+ * Display name for a child - their name, or "Child 2" if they haven't got one yet
+ */
+export const getMemberLabel = (member, index) => member.name.trim() || `Child ${index + 1}`;
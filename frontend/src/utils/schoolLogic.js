@@ -1,11 +1,37 @@
 /**
  * Local school status calculation - runs entirely in the browser
  * No API calls needed for basic school status
+ *
+ * The priority rules live in the shared status engine (shared/statusEngine.js),
+ * which the backend also uses - this file only feeds it from the data files in
+ * shared/data (the backend seeds its database from the same files) and the
+ * shared public holiday rules (shared/holidays.js).
  */
 
-import schools from '../data/schools.json';
-import holidays from '../data/holidays.json';
-import termDates from '../data/termDates.json';
+import schools from '../../../shared/data/schools.json';
+import termDates from '../../../shared/data/termDates.json';
+import events from '../../../shared/data/events.json';
+import {
+  countSchoolDays,
+  createCalendar,
+  evaluateDate,
+  findNextChange,
+  getTermProgress,
+  hasTermRule,
+  holidayAppliesTo,
+  summarizeHousehold,
+  toDateString,
+} from '../../../shared/statusEngine.js';
+import { generateHolidaysForYears } from '../../../shared/holidays.js';
+import { validateSeedData } from '../../../shared/seedData.js';
+
+// The backend refuses to seed invalid data; flag it while developing too
+if (import.meta.env.DEV) {
+  validateSeedData({ termDates, schools, events }).forEach(error => console.error(`Invalid seed data: ${error}`));
+}
+
+// One calendar per school, built on first use
+const calendarCache = new Map();
 
 /**
  * Get all schools (sync, instant)
@@ -21,28 +47,46 @@ export const getSchoolById = (id) => {
   return schools.find(s => s.id === id);
 };
 
+/**
+ * Build the engine calendar for a school from the data files
+ * The school follows its sector's term calendar, with its own term overrides on top.
+ */
+const getSchoolCalendar = (school) => {
+  if (!calendarCache.has(school.id)) {
+    const series = termDates[school.termRuleSeriesId];
+    const termRules = series ? series.rules : [];
+    // Public holidays come from the shared rules, for every year with term dates
+    const holidays = generateHolidaysForYears(school.state, termRules.map(rule => rule.year));
+    calendarCache.set(school.id, createCalendar({
+      termRules,
+      termOverrides: school.termOverrides,
+      holidays: holidays.filter(h => holidayAppliesTo(h, school)),
+      events: events.filter(e => e.school_id === school.id),
+    }));
+  }
+  return calendarCache.get(school.id);
+};
+
 /**
  * Check if a date is a school day (sync, instant)
  * Priority order:
- * 1. School Events (e.g., student free days) - Note: Need school-specific events
+ * 1. School Events (e.g., student free days)
  * 2. Public Holidays
  * 3. Weekends (Saturday/Sunday)
  * 4. Term Dates (within term = open, outside = holidays)
- * 
+ *
  * @param {string} schoolId - School ID
  * @param {string|Date} date - Date (YYYY-MM-DD string or Date object)
- * @returns {Object} - { isOpen: boolean, reason: string, term?: number }
+ * @param {number|null} yearLevel - Year level (0 = Prep), null for the whole school
+ * @returns {Object} - { isOpen: boolean, reason: string, term?: number, events: Array, explanation: Object }
  */
-export const checkSchoolStatusLocal = (schoolId, date) => {
+export const checkSchoolStatusLocal = (schoolId, date, yearLevel = null) => {
   // Normalize date to YYYY-MM-DD string
   let dateStr;
   if (typeof date === 'string') {
     dateStr = date;
   } else if (date instanceof Date) {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    dateStr = `${year}-${month}-${day}`;
+    dateStr = toDateString(date);
   } else {
     throw new Error('Invalid date format');
   }
@@ -56,67 +100,25 @@ export const checkSchoolStatusLocal = (schoolId, date) => {
     };
   }
 
-  const schoolState = school.state;
-  const termRuleId = school.termRuleId;
+  const calendar = getSchoolCalendar(school);
 
-  // Check if year is beyond 2026
-  const dateObj = new Date(dateStr + 'T00:00:00');
-  if (dateObj.getFullYear() > 2026) {
+  // No term dates bundled for this year
+  if (!hasTermRule(dateStr, calendar)) {
     return {
       timeTraveler: true,
       isOpen: false,
-      reason: 'Date beyond 2026'
-    };
-  }
-
-  // STEP 1: Check school events (student free days, etc.)
-  // Note: We'll add school-specific events here if needed
-  // For now, hardcode the 9/4 student free day for all schools
-  if (dateStr === '2026-09-04') {
-    return {
-      isOpen: false,
-      reason: 'Student Free Day - Staff PD Day'
-    };
-  }
-
-  // STEP 2: Check public holidays
-  const holiday = holidays.find(
-    h => h.holiday_date === dateStr && h.state === schoolState
-  );
-  if (holiday) {
-    return {
-      isOpen: false,
-      reason: holiday.name
-    };
-  }
-
-  // STEP 3: Check weekends
-  const dayOfWeek = dateObj.getDay(); // 0=Sunday, 6=Saturday
-  if (dayOfWeek === 0 || dayOfWeek === 6) {
-    return {
-      isOpen: false,
-      reason: dayOfWeek === 0 ? 'Sunday' : 'Saturday'
+      reason: `No term dates for ${dateStr.slice(0, 4)}`
     };
   }
 
-  // STEP 4: Check term dates
-  const termRule = termDates[termRuleId];
-  if (termRule && termRule.terms) {
-    for (const term of termRule.terms) {
-      if (dateStr >= term.start_date && dateStr <= term.end_date) {
-        return {
-          isOpen: true,
-          reason: `Term ${term.term}`,
-          term: term.term
-        };
-      }
-    }
-  }
+  const day = evaluateDate(dateStr, calendar, { yearLevel, explain: true });
 
-  // STEP 5: Fallback - Outside all terms = School Holidays
   return {
-    isOpen: false,
-    reason: 'School Holidays'
+    isOpen: day.status === 'Open',
+    reason: day.reason,
+    term: day.term,
+    events: day.events,
+    explanation: day.explanation
   };
 };
 
@@ -125,58 +127,95 @@ export const checkSchoolStatusLocal = (schoolId, date) => {
  * @param {string} schoolId - School ID
  * @param {string} startDate - Starting date (YYYY-MM-DD)
  * @param {boolean} currentOpen - Current open status
- * @returns {Object} - { date: string, label: string, reason: string }
+ * @param {number|null} yearLevel - Year level (0 = Prep), null for the whole school
+ * @returns {Object} - { date: string, label: string, reason: string, periodEnd: string, closureEnd: string|null }
  */
-export const findNextChangeDate = (schoolId, startDate, currentOpen) => {
-  const maxDays = 60;
-  const targetOpen = !currentOpen;
-  
-  let date = new Date(startDate + 'T00:00:00');
-  
-  for (let i = 1; i <= maxDays; i++) {
-    date.setDate(date.getDate() + 1);
-    const dateStr = date.toISOString().split('T')[0];
-    
-    const status = checkSchoolStatusLocal(schoolId, dateStr);
-    
-    if (status.timeTraveler) {
-      // Can't go beyond 2026
-      break;
-    }
-    
-    if (status.isOpen === targetOpen) {
-      return {
-        date: dateStr,
-        label: currentOpen ? 'Holidays start in...' : 'School starts in...',
-        reason: status.reason,
-        term: status.term
-      };
-    }
+export const findNextChangeDate = (schoolId, startDate, currentOpen, yearLevel = null) => {
+  const school = getSchoolById(schoolId);
+  if (!school) {
+    return {
+      date: null,
+      label: null,
+      reason: null,
+      periodEnd: null,
+      closureEnd: null
+    };
   }
-  
-  return {
-    date: null,
-    label: null,
-    reason: null
-  };
+
+  return findNextChange(startDate, getSchoolCalendar(school), currentOpen ? 'Open' : 'Closed', { yearLevel });
 };
 
 /**
  * Complete school status check with next change date
  */
-export const getSchoolStatus = (schoolId, date) => {
-  const status = checkSchoolStatusLocal(schoolId, date);
-  
+export const getSchoolStatus = (schoolId, date, yearLevel = null) => {
+  const status = checkSchoolStatusLocal(schoolId, date, yearLevel);
+
   if (status.timeTraveler) {
     return status;
   }
-  
-  const nextChange = findNextChangeDate(schoolId, date, status.isOpen);
-  
+
+  const nextChange = findNextChangeDate(schoolId, date, status.isOpen, yearLevel);
+
   return {
     ...status,
     nextChangeDate: nextChange.date,
     countdownLabel: nextChange.label,
-    nextChangeReason: nextChange.reason
+    nextChangeReason: nextChange.reason,
+    periodEnd: nextChange.periodEnd,
+    closureEnd: nextChange.closureEnd
+  };
+};
+
+/**
+ * Where a date sits in the school year - "week N of Term X", school days done and to go
+ * @param {string} schoolId - School ID
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number|null} yearLevel - Year level (0 = Prep), null for the whole school
+ * @returns {Object|null} - getTermProgress result, or null without term dates for the year
+ */
+export const getTermProgressLocal = (schoolId, date, yearLevel = null) => {
+  const school = getSchoolById(schoolId);
+  if (!school) return null;
+
+  return getTermProgress(date, getSchoolCalendar(school), { yearLevel });
+};
+
+/**
+ * Count the school days between two dates (inclusive)
+ * @returns {number|null} - null when a year in the range has no term dates
+ */
+export const countSchoolDaysLocal = (schoolId, fromDate, toDate, yearLevel = null) => {
+  const school = getSchoolById(schoolId);
+  if (!school) return null;
+
+  return countSchoolDays(fromDate, toDate, getSchoolCalendar(school), { yearLevel });
+};
+
+/**
+ * Check every child in a household on one date
+ * @param {Array<{id: string, name: string, schoolId: string, yearLevel: number|null}>} members - Household children
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Object} - { members: [{...member, ...getSchoolStatus result}], summary }
+ */
+export const getHouseholdStatus = (members, date) => {
+  const results = members.map((member) => {
+    const school = getSchoolById(member.schoolId);
+    return {
+      ...member,
+      ...getSchoolStatus(member.schoolId, date, member.yearLevel),
+      schoolName: school ? school.name : '',
+      state: school ? school.state : null,
+      latitude: school ? school.latitude ?? null : null,
+      longitude: school ? school.longitude ?? null : null,
+    };
+  });
+
+  return {
+    members: results,
+    summary: summarizeHousehold(results.map((result) => {
+      if (result.timeTraveler) return 'Error';
+      return result.isOpen ? 'Open' : 'Closed';
+    })),
   };
-};
\ No newline at end of file
+};
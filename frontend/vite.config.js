@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    fs: {
+      // The status engine in ../shared is imported by both frontend and backend
+      allow: ['..'],
+    },
+  },
 })
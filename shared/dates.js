@@ -0,0 +1,60 @@
+/**
+ * YYYY-MM-DD date helpers shared by the status engine, the holiday generator
+ * and the recurrence expander - pure functions, no I/O
+ */
+
+/**
+ * Format a Date as YYYY-MM-DD using local time (avoid timezone issues)
+ * @param {Date} date
+ * @returns {string}
+ */
+export const toDateString = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * Whether a value is a YYYY-MM-DD date that exists on the calendar
+ * (2026-02-29 and 2026-02-30 are not)
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isDate = (value) => typeof value === 'string'
+  && /^\d{4}-\d{2}-\d{2}$/.test(value)
+  && !Number.isNaN(Date.parse(`${value}T00:00:00Z`))
+  && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+
+/**
+ * Add days to a YYYY-MM-DD date string
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {number} days - Number of days to add (may be negative)
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+export const addDays = (dateStr, days) => {
+  const date = new Date(dateStr + 'T00:00:00');
+  date.setDate(date.getDate() + days);
+  return toDateString(date);
+};
+
+/**
+ * Whole days from one YYYY-MM-DD date to another (negative if `to` is earlier)
+ */
+export const daysBetween = (fromDate, toDate) => Math.round(
+  (Date.UTC(...toDate.split('-').map((part, i) => Number(part) - (i === 1 ? 1 : 0)))
+    - Date.UTC(...fromDate.split('-').map((part, i) => Number(part) - (i === 1 ? 1 : 0)))) / (1000 * 60 * 60 * 24)
+);
+
+/**
+ * Day of week for a YYYY-MM-DD date string (0=Sunday, 6=Saturday)
+ */
+export const getDayOfWeek = (dateStr) => new Date(dateStr + 'T00:00:00').getDay();
+
+/**
+ * Whether a YYYY-MM-DD date is a Saturday or Sunday
+ */
+export const isWeekend = (dateStr) => {
+  const dayOfWeek = getDayOfWeek(dateStr);
+  return dayOfWeek === 0 || dayOfWeek === 6;
+};
@@ -0,0 +1,284 @@
+/**
+ * Rule-based public holiday generator - pure functions, no I/O
+ * Holidays are described as rules (fixed dates, Easter offsets, "first Monday
+ * in May"...) so any year's list can be produced. The backend seeds
+ * public_holidays from it and the frontend builds its holiday bundle from it,
+ * so both sides always agree.
+ */
+
+import { addDays, getDayOfWeek } from './dates.js';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const makeDate = (year, month, day) => `${year}-${pad(month)}-${pad(day)}`;
+
+const daysInMonth = (year, month) => new Date(year, month, 0).getDate();
+
+/**
+ * Easter Sunday for a year (Gregorian computus, anonymous algorithm)
+ * @param {number} year
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+export const easterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return makeDate(year, month, day);
+};
+
+/**
+ * The nth weekday of a month (n = -1 for the last one)
+ * @param {number} weekday - 0=Sunday, 6=Saturday
+ */
+const nthWeekday = (year, month, weekday, n) => {
+  if (n < 0) {
+    const last = makeDate(year, month, daysInMonth(year, month));
+    return addDays(last, -((getDayOfWeek(last) - weekday + 7) % 7));
+  }
+  const first = makeDate(year, month, 1);
+  return addDays(first, (weekday - getDayOfWeek(first) + 7) % 7 + (n - 1) * 7);
+};
+
+/**
+ * The first given weekday on or after a date
+ */
+const weekdayOnOrAfter = (year, month, day, weekday) => {
+  const start = makeDate(year, month, day);
+  return addDays(start, (weekday - getDayOfWeek(start) + 7) % 7);
+};
+
+/**
+ * Rule types:
+ * - fixed: { month, day }
+ * - easter: { offset } - days from Easter Sunday
+ * - nthWeekday: { month, weekday, n } - e.g. first Monday in May; n = -1 for the last
+ * - weekdayOnOrAfter: { month, day, weekday } - e.g. the Wednesday on or after 10 August
+ *
+ * `substitute` says when the holiday gets an observed weekday: when it falls on a
+ * weekend ('weekend') or only on a Sunday ('sunday'). Leave it out where the state
+ * doesn't move the holiday (ANZAC Day in NSW). The generator lists the
+ * gazetted date only; the status engine derives the observed day from it
+ * (applyHolidaySubstitutes), so hand-entered holidays get the same treatment.
+ * `region` limits the holiday to schools in that region (see holidayAppliesTo).
+ */
+const resolveRule = (rule, year) => {
+  switch (rule.type) {
+    case 'fixed':
+      return makeDate(year, rule.month, rule.day);
+    case 'easter':
+      return addDays(easterSunday(year), rule.offset);
+    case 'nthWeekday':
+      return nthWeekday(year, rule.month, rule.weekday, rule.n);
+    case 'weekdayOnOrAfter':
+      return weekdayOnOrAfter(year, rule.month, rule.day, rule.weekday);
+    default:
+      throw new Error(`Unknown holiday rule type: ${rule.type}`);
+  }
+};
+
+// Public holidays per state and territory, from each one's holidays legislation.
+// Part-day holidays (Christmas Eve and New Year's Eve evenings) don't close schools
+// and are left out.
+// Overrides are one-off changes for a single year: add a holiday (e.g. a
+// national day of mourning) or remove a generated one with `remove: true`.
+export const HOLIDAY_RULES = {
+  QLD: {
+    rules: [
+      { name: "New Year's Day", type: 'fixed', month: 1, day: 1, substitute: 'weekend' },
+      { name: 'Australia Day', type: 'fixed', month: 1, day: 26, substitute: 'weekend' },
+      { name: 'Good Friday', type: 'easter', offset: -2 },
+      { name: 'Easter Saturday', type: 'easter', offset: -1 },
+      { name: 'Easter Sunday', type: 'easter', offset: 0 },
+      { name: 'Easter Monday', type: 'easter', offset: 1 },
+      { name: 'ANZAC Day', type: 'fixed', month: 4, day: 25, substitute: 'sunday' },
+      { name: 'Labour Day', type: 'nthWeekday', month: 5, weekday: 1, n: 1 },
+      { name: 'Royal Queensland Show (Ekka)', type: 'weekdayOnOrAfter', month: 8, day: 10, weekday: 3, region: 'Brisbane' },
+      { name: "King's Birthday", type: 'nthWeekday', month: 10, weekday: 1, n: 1 },
+      { name: 'Christmas Day', type: 'fixed', month: 12, day: 25, substitute: 'weekend' },
+      { name: 'Boxing Day', type: 'fixed', month: 12, day: 26, substitute: 'weekend' },
+    ],
+    overrides: [
+      { holiday_date: '2022-09-22', name: 'National Day of Mourning' },
+    ],
+  },
+  NSW: {
+    rules: [
+      { name: "New Year's Day", type: 'fixed', month: 1, day: 1, substitute: 'weekend' },
+      { name: 'Australia Day', type: 'fixed', month: 1, day: 26, substitute: 'weekend' },
+      { name: 'Good Friday', type: 'easter', offset: -2 },
+      { name: 'Easter Saturday', type: 'easter', offset: -1 },
+      { name: 'Easter Sunday', type: 'easter', offset: 0 },
+      { name: 'Easter Monday', type: 'easter', offset: 1 },
+      { name: 'ANZAC Day', type: 'fixed', month: 4, day: 25 },
+      { name: "King's Birthday", type: 'nthWeekday', month: 6, weekday: 1, n: 2 },
+      { name: 'Labour Day', type: 'nthWeekday', month: 10, weekday: 1, n: 1 },
+      { name: 'Christmas Day', type: 'fixed', month: 12, day: 25, substitute: 'weekend' },
+      { name: 'Boxing Day', type: 'fixed', month: 12, day: 26, substitute: 'weekend' },
+    ],
+    overrides: [
+      { holiday_date: '2022-09-22', name: 'National Day of Mourning' },
+    ],
+  },
+  VIC: {
+    rules: [
+      { name: "New Year's Day", type: 'fixed', month: 1, day: 1, substitute: 'weekend' },
+      { name: 'Australia Day', type: 'fixed', month: 1, day: 26, substitute: 'weekend' },
+      { name: 'Labour Day', type: 'nthWeekday', month: 3, weekday: 1, n: 2 },
+      { name: 'Good Friday', type: 'easter', offset: -2 },
+      { name: 'Easter Saturday', type: 'easter', offset: -1 },
+      { name: 'Easter Sunday', type: 'easter', offset: 0 },
+      { name: 'Easter Monday', type: 'easter', offset: 1 },
+      { name: 'ANZAC Day', type: 'fixed', month: 4, day: 25 },
+      { name: "King's Birthday", type: 'nthWeekday', month: 6, weekday: 1, n: 2 },
+      { name: 'Melbourne Cup', type: 'nthWeekday', month: 11, weekday: 2, n: 1, region: 'Melbourne' },
+      { name: 'Christmas Day', type: 'fixed', month: 12, day: 25, substitute: 'weekend' },
+      { name: 'Boxing Day', type: 'fixed', month: 12, day: 26, substitute: 'weekend' },
+    ],
+    // The Friday before the AFL Grand Final is set each year once the fixture is known
+    overrides: [
+      { holiday_date: '2022-09-22', name: 'National Day of Mourning' },
+      { holiday_date: '2026-09-25', name: 'Friday before the AFL Grand Final' },
+      { holiday_date: '2027-09-24', name: 'Friday before the AFL Grand Final' },
+    ],
+  },
+  SA: {
+    rules: [
+      { name: "New Year's Day", type: 'fixed', month: 1, day: 1, substitute: 'weekend' },
+      { name: 'Australia Day', type: 'fixed', month: 1, day: 26, substitute: 'weekend' },
+      { name: 'Adelaide Cup Day', type: 'nthWeekday', month: 3, weekday: 1, n: 2 },
+      { name: 'Good Friday', type: 'easter', offset: -2 },
+      { name: 'Easter Saturday', type: 'easter', offset: -1 },
+      { name: 'Easter Sunday', type: 'easter', offset: 0 },
+      { name: 'Easter Monday', type: 'easter', offset: 1 },
+      { name: 'ANZAC Day', type: 'fixed', month: 4, day: 25 },
+      { name: "King's Birthday", type: 'nthWeekday', month: 6, weekday: 1, n: 2 },
+      { name: 'Labour Day', type: 'nthWeekday', month: 10, weekday: 1, n: 1 },
+      { name: 'Christmas Day', type: 'fixed', month: 12, day: 25, substitute: 'weekend' },
+      { name: 'Proclamation Day', type: 'fixed', month: 12, day: 26, substitute: 'weekend' },
+    ],
+    overrides: [
+      { holiday_date: '2022-09-22', name: 'National Day of Mourning' },
+    ],
+  },
+  WA: {
+    rules: [
+      { name: "New Year's Day", type: 'fixed', month: 1, day: 1, substitute: 'weekend' },
+      { name: 'Australia Day', type: 'fixed', month: 1, day: 26, substitute: 'weekend' },
+      { name: 'Labour Day', type: 'nthWeekday', month: 3, weekday: 1, n: 1 },
+      { name: 'Good Friday', type: 'easter', offset: -2 },
+      { name: 'Easter Sunday', type: 'easter', offset: 0 },
+      { name: 'Easter Monday', type: 'easter', offset: 1 },
+      { name: 'ANZAC Day', type: 'fixed', month: 4, day: 25, substitute: 'weekend' },
+      { name: 'Western Australia Day', type: 'nthWeekday', month: 6, weekday: 1, n: 1 },
+      { name: "King's Birthday", type: 'nthWeekday', month: 9, weekday: 1, n: -1 },
+      { name: 'Christmas Day', type: 'fixed', month: 12, day: 25, substitute: 'weekend' },
+      { name: 'Boxing Day', type: 'fixed', month: 12, day: 26, substitute: 'weekend' },
+    ],
+    overrides: [
+      { holiday_date: '2022-09-22', name: 'National Day of Mourning' },
+    ],
+  },
+  TAS: {
+    rules: [
+      { name: "New Year's Day", type: 'fixed', month: 1, day: 1, substitute: 'weekend' },
+      { name: 'Australia Day', type: 'fixed', month: 1, day: 26, substitute: 'weekend' },
+      { name: 'Eight Hours Day', type: 'nthWeekday', month: 3, weekday: 1, n: 2 },
+      { name: 'Good Friday', type: 'easter', offset: -2 },
+      { name: 'Easter Monday', type: 'easter', offset: 1 },
+      { name: 'ANZAC Day', type: 'fixed', month: 4, day: 25 },
+      { name: "King's Birthday", type: 'nthWeekday', month: 6, weekday: 1, n: 2 },
+      { name: 'Christmas Day', type: 'fixed', month: 12, day: 25, substitute: 'weekend' },
+      { name: 'Boxing Day', type: 'fixed', month: 12, day: 26, substitute: 'weekend' },
+    ],
+    overrides: [
+      { holiday_date: '2022-09-22', name: 'National Day of Mourning' },
+    ],
+  },
+  NT: {
+    rules: [
+      { name: "New Year's Day", type: 'fixed', month: 1, day: 1, substitute: 'weekend' },
+      { name: 'Australia Day', type: 'fixed', month: 1, day: 26, substitute: 'weekend' },
+      { name: 'Good Friday', type: 'easter', offset: -2 },
+      { name: 'Easter Saturday', type: 'easter', offset: -1 },
+      { name: 'Easter Sunday', type: 'easter', offset: 0 },
+      { name: 'Easter Monday', type: 'easter', offset: 1 },
+      { name: 'ANZAC Day', type: 'fixed', month: 4, day: 25 },
+      { name: 'May Day', type: 'nthWeekday', month: 5, weekday: 1, n: 1 },
+      { name: "King's Birthday", type: 'nthWeekday', month: 6, weekday: 1, n: 2 },
+      { name: 'Picnic Day', type: 'nthWeekday', month: 8, weekday: 1, n: 1 },
+      { name: 'Christmas Day', type: 'fixed', month: 12, day: 25, substitute: 'weekend' },
+      { name: 'Boxing Day', type: 'fixed', month: 12, day: 26, substitute: 'weekend' },
+    ],
+    overrides: [
+      { holiday_date: '2022-09-22', name: 'National Day of Mourning' },
+    ],
+  },
+  ACT: {
+    rules: [
+      { name: "New Year's Day", type: 'fixed', month: 1, day: 1, substitute: 'weekend' },
+      { name: 'Australia Day', type: 'fixed', month: 1, day: 26, substitute: 'weekend' },
+      { name: 'Canberra Day', type: 'nthWeekday', month: 3, weekday: 1, n: 2 },
+      { name: 'Good Friday', type: 'easter', offset: -2 },
+      { name: 'Easter Saturday', type: 'easter', offset: -1 },
+      { name: 'Easter Sunday', type: 'easter', offset: 0 },
+      { name: 'Easter Monday', type: 'easter', offset: 1 },
+      { name: 'ANZAC Day', type: 'fixed', month: 4, day: 25, substitute: 'weekend' },
+      { name: 'Reconciliation Day', type: 'weekdayOnOrAfter', month: 5, day: 27, weekday: 1 },
+      { name: "King's Birthday", type: 'nthWeekday', month: 6, weekday: 1, n: 2 },
+      { name: 'Labour Day', type: 'nthWeekday', month: 10, weekday: 1, n: 1 },
+      { name: 'Christmas Day', type: 'fixed', month: 12, day: 25, substitute: 'weekend' },
+      { name: 'Boxing Day', type: 'fixed', month: 12, day: 26, substitute: 'weekend' },
+    ],
+    overrides: [
+      { holiday_date: '2022-09-22', name: 'National Day of Mourning' },
+    ],
+  },
+};
+
+/**
+ * Generate one state's public holidays for a year
+ * @param {string} state - State code, e.g. 'QLD'
+ * @param {number} year
+ * @returns {Array<{holiday_date: string, name: string, state: string, region: string|null, year: number, substitute: string|null}>} - Sorted by date
+ */
+export const generateHolidays = (state, year) => {
+  const config = HOLIDAY_RULES[state];
+  if (!config) return [];
+
+  const holidays = config.rules.map(rule => ({
+    holiday_date: resolveRule(rule, year),
+    name: rule.name,
+    state,
+    region: rule.region || null,
+    year,
+    substitute: rule.substitute || null,
+  }));
+
+  const yearOverrides = (config.overrides || []).filter(override => override.holiday_date.startsWith(`${year}-`));
+  const removed = new Set(yearOverrides.filter(override => override.remove).map(override => override.holiday_date));
+  const added = yearOverrides
+    .filter(override => !override.remove)
+    .map(override => ({ holiday_date: override.holiday_date, name: override.name, state, region: override.region || null, year, substitute: override.substitute || null }));
+
+  return [...holidays, ...added]
+    .filter(holiday => !removed.has(holiday.holiday_date))
+    .sort((a, b) => a.holiday_date.localeCompare(b.holiday_date));
+};
+
+/**
+ * Generate one state's public holidays for several years
+ * @param {string} state - State code, e.g. 'QLD'
+ * @param {Array<number>} years
+ */
+export const generateHolidaysForYears = (state, years) => years.flatMap(year => generateHolidays(state, year));
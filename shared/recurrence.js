@@ -0,0 +1,204 @@
+/**
+ * Recurring school events - iCalendar-style RRULEs expanded to dates
+ * Pure functions, no I/O. Supports the RFC 5545 subset school calendars need:
+ * FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL and COUNT (positive integers),
+ * UNTIL, BYDAY (with ordinals such as -1FR), BYMONTH and BYMONTHDAY, plus
+ * exception dates.
+ *
+ * FREQ=TERMLY is a school-calendar extension: periods are the terms themselves,
+ * so BYDAY=-1FR is "the last Friday of every term" and BYDAY=WE is "every
+ * Wednesday during term". Without BYDAY it is the first day of each term.
+ */
+
+import { addDays, daysBetween, getDayOfWeek } from './dates.js';
+
+const WEEKDAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY', 'TERMLY'];
+
+const parseList = (value, parseItem) => value.split(',').map(parseItem);
+
+/**
+ * An integer rule value from min to max; 0 is never valid (BYMONTHDAY=-1 is, INTERVAL=-1 isn't)
+ */
+const parseNumber = (rrule, key, value, min, max) => {
+  const number = /^[+-]?\d+$/.test(value) ? Number(value) : NaN;
+  if (!Number.isInteger(number) || number === 0 || number < min || number > max) {
+    throw new Error(`Invalid recurrence rule "${rrule}": ${key}=${value}`);
+  }
+  return number;
+};
+
+/**
+ * Parse an RRULE string ("FREQ=WEEKLY;BYDAY=WE", optionally prefixed with "RRULE:")
+ * @param {string} rrule
+ * @returns {{freq: string, interval: number, count: number|null, until: string|null, byDay: Array<{n: number|null, weekday: number}>|null, byMonth: number[]|null, byMonthDay: number[]|null}}
+ */
+export const parseRRule = (rrule) => {
+  const rule = { freq: null, interval: 1, count: null, until: null, byDay: null, byMonth: null, byMonthDay: null };
+
+  rrule.replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    const [key, value = ''] = part.split('=');
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        rule.freq = value.toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = parseNumber(rrule, key, value, 1, Infinity);
+        break;
+      case 'COUNT':
+        rule.count = parseNumber(rrule, key, value, 1, Infinity);
+        break;
+      case 'UNTIL': {
+        // Date part only: 20261211 or 20261211T000000Z
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+        if (!match) throw new Error(`Invalid recurrence rule "${rrule}": UNTIL=${value}`);
+        rule.until = `${match[1]}-${match[2]}-${match[3]}`;
+        break;
+      }
+      case 'BYDAY':
+        rule.byDay = parseList(value.toUpperCase(), item => {
+          const match = item.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+          if (!match) throw new Error(`Invalid recurrence rule "${rrule}": BYDAY=${value}`);
+          return { n: match[1] ? Number(match[1]) : null, weekday: WEEKDAYS[match[2]] };
+        });
+        break;
+      case 'BYMONTH':
+        rule.byMonth = parseList(value, item => parseNumber(rrule, key, item, 1, 12));
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseList(value, item => parseNumber(rrule, key, item, -31, 31));
+        break;
+      case 'WKST':
+        // Weeks always start on Monday here, like school weeks
+        break;
+      default:
+        throw new Error(`Invalid recurrence rule "${rrule}": unsupported ${key}`);
+    }
+  });
+
+  if (!FREQUENCIES.includes(rule.freq)) {
+    throw new Error(`Invalid recurrence rule "${rrule}": FREQ must be one of ${FREQUENCIES.join(', ')}`);
+  }
+
+  return rule;
+};
+
+const monthStart = (dateStr) => `${dateStr.slice(0, 7)}-01`;
+
+const monthEnd = (dateStr) => {
+  const [year, month] = dateStr.split('-').map(Number);
+  const day = new Date(year, month, 0).getDate();
+  return `${dateStr.slice(0, 7)}-${String(day).padStart(2, '0')}`;
+};
+
+const mondayOf = (dateStr) => addDays(dateStr, -((getDayOfWeek(dateStr) + 6) % 7));
+
+/**
+ * Whether a date matches a BYDAY list within a period (month, year or term)
+ * An ordinal counts that weekday from the start of the period (1MO) or from its end (-1FR).
+ */
+const matchesByDay = (dateStr, byDay, periodStart, periodEnd) => byDay.some(({ n, weekday }) => {
+  if (getDayOfWeek(dateStr) !== weekday) return false;
+  if (n === null) return true;
+  return n > 0
+    ? Math.floor(daysBetween(periodStart, dateStr) / 7) + 1 === n
+    : Math.floor(daysBetween(dateStr, periodEnd) / 7) + 1 === -n;
+});
+
+const matchesMonthDay = (dateStr, byMonthDay) => {
+  const day = Number(dateStr.slice(8, 10));
+  const daysInMonth = Number(monthEnd(dateStr).slice(8, 10));
+  return byMonthDay.some(monthDay => (monthDay > 0 ? day === monthDay : day === daysInMonth + monthDay + 1));
+};
+
+/**
+ * Whether a date is an occurrence of a rule (ignoring COUNT)
+ * Rule parts not given default to the start date, as in RFC 5545. A YEARLY
+ * BYDAY or BYMONTHDAY without BYMONTH spans every month, so its ordinals count
+ * within the year (BYDAY=1MO is the first Monday of the year).
+ */
+const isOccurrence = (dateStr, rule, startDate, terms) => {
+  const month = Number(dateStr.slice(5, 7));
+  if (rule.byMonth && !rule.byMonth.includes(month)) return false;
+
+  const [year, startYear] = [Number(dateStr.slice(0, 4)), Number(startDate.slice(0, 4))];
+  const startMonth = Number(startDate.slice(5, 7));
+
+  switch (rule.freq) {
+    case 'DAILY':
+      if (daysBetween(startDate, dateStr) % rule.interval !== 0) return false;
+      if (rule.byDay && !rule.byDay.some(({ weekday }) => weekday === getDayOfWeek(dateStr))) return false;
+      return !rule.byMonthDay || matchesMonthDay(dateStr, rule.byMonthDay);
+
+    case 'WEEKLY': {
+      const weeks = Math.floor(daysBetween(mondayOf(startDate), dateStr) / 7);
+      if (weeks % rule.interval !== 0) return false;
+      const byDay = rule.byDay || [{ n: null, weekday: getDayOfWeek(startDate) }];
+      return byDay.some(({ weekday }) => weekday === getDayOfWeek(dateStr));
+    }
+
+    case 'MONTHLY': {
+      const months = (year - startYear) * 12 + (month - startMonth);
+      if (months % rule.interval !== 0) return false;
+      if (rule.byMonthDay) return matchesMonthDay(dateStr, rule.byMonthDay);
+      if (rule.byDay) return matchesByDay(dateStr, rule.byDay, monthStart(dateStr), monthEnd(dateStr));
+      return dateStr.slice(8, 10) === startDate.slice(8, 10);
+    }
+
+    case 'YEARLY':
+      if ((year - startYear) % rule.interval !== 0) return false;
+      if (rule.byMonthDay) return matchesMonthDay(dateStr, rule.byMonthDay);
+      if (rule.byDay) {
+        return rule.byMonth
+          ? matchesByDay(dateStr, rule.byDay, monthStart(dateStr), monthEnd(dateStr))
+          : matchesByDay(dateStr, rule.byDay, `${year}-01-01`, `${year}-12-31`);
+      }
+      if (!rule.byMonth && month !== startMonth) return false;
+      return dateStr.slice(8, 10) === startDate.slice(8, 10);
+
+    case 'TERMLY': {
+      const termIndex = terms.findIndex(term => dateStr >= term.start_date && dateStr <= term.end_date);
+      if (termIndex === -1) return false;
+      const firstIndex = terms.findIndex(term => term.end_date >= startDate);
+      if ((termIndex - firstIndex) % rule.interval !== 0) return false;
+      const term = terms[termIndex];
+      if (rule.byDay) return matchesByDay(dateStr, rule.byDay, term.start_date, term.end_date);
+      return dateStr === term.start_date;
+    }
+
+    default:
+      return false;
+  }
+};
+
+/**
+ * Every date an event happens on
+ * Single events happen on their event_date. Recurring events (event.rrule) start
+ * at event_date and run until COUNT or UNTIL, or up to `horizon` when the rule
+ * is open-ended. Dates in event.exdates are skipped; as in RFC 5545 they still
+ * count towards COUNT.
+ *
+ * @param {Object} event - Event row (event_date, rrule?: string|null, exdates?: string[]|null)
+ * @param {Object} options
+ * @param {string} options.horizon - Last date to expand open-ended rules to (YYYY-MM-DD)
+ * @param {Array<{start_date: string, end_date: string}>} [options.terms] - Sorted terms, for FREQ=TERMLY
+ * @returns {string[]} - Sorted dates in YYYY-MM-DD format
+ */
+export const expandEventDates = (event, { horizon, terms = [] }) => {
+  if (!event.rrule) return [event.event_date];
+
+  const rule = parseRRule(event.rrule);
+  const lastDate = rule.until && rule.until < horizon ? rule.until : horizon;
+  const excluded = new Set(event.exdates || []);
+  const dates = [];
+  let found = 0;
+
+  for (let dateStr = event.event_date; dateStr <= lastDate; dateStr = addDays(dateStr, 1)) {
+    if (!isOccurrence(dateStr, rule, event.event_date, terms)) continue;
+    found++;
+    if (!excluded.has(dateStr)) dates.push(dateStr);
+    if (rule.count !== null && found >= rule.count) break;
+  }
+
+  return dates;
+};
@@ -0,0 +1,208 @@
+/**
+ * Seed data schema - checks the canonical data files in shared/data
+ * Pure functions, no I/O. The backend seeds its database from these files and
+ * the frontend bundles them as they are, so an ID means the same school, term
+ * calendar or event on both sides. IDs are lowercase slugs ("gap-state-school")
+ * and never change once published: households and links refer to them.
+ */
+
+import { isDate } from './dates.js';
+import { parseRRule } from './recurrence.js';
+import { applyTermOverrides, SECTORS, YEAR_LEVELS } from './statusEngine.js';
+import { STATE_CODES } from './states.js';
+
+const SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const isRRule = (value) => {
+  try {
+    parseRRule(value);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Field types: [check, what the value must be]
+const TYPES = {
+  slug: [value => typeof value === 'string' && SLUG.test(value), 'a lowercase slug like "gap-state-school"'],
+  string: [value => typeof value === 'string' && value.trim() !== '', 'a non-empty string'],
+  date: [isDate, 'a YYYY-MM-DD date'],
+  integer: [Number.isInteger, 'an integer'],
+  boolean: [value => typeof value === 'boolean', 'true or false'],
+  state: [value => STATE_CODES.includes(value), `one of ${STATE_CODES.join(', ')}`],
+  sector: [value => SECTORS.includes(value), `one of ${SECTORS.join(', ')}`],
+  yearLevel: [value => YEAR_LEVELS.includes(value), 'a year level from 0 (Prep) to 12'],
+  rrule: [value => typeof value === 'string' && isRRule(value), 'a supported recurrence rule'],
+  latitude: [value => Number.isFinite(value) && value >= -90 && value <= 90, 'a latitude from -90 to 90'],
+  longitude: [value => Number.isFinite(value) && value >= -180 && value <= 180, 'a longitude from -180 to 180'],
+};
+
+/**
+ * Record schemas, one per kind of entry in the data files
+ * "type?" may be missing or null, "[type]" is an array of that type. Fields not
+ * listed here are rejected, so a misspelt field fails instead of being ignored.
+ */
+export const SEED_SCHEMAS = {
+  // termDates.json: { [series id]: termSeries }
+  termSeries: { id: 'slug', name: 'string', state: 'state', sector: 'sector', rules: '[termRule]' },
+  termRule: { id: 'slug', name: 'string', year: 'integer', terms: '[term]' },
+  term: { term: 'integer', start_date: 'date', end_date: 'date' },
+  // schools.json: [school]
+  school: {
+    id: 'slug',
+    name: 'string',
+    school_type: 'string',
+    suburb: 'string',
+    postcode: 'string',
+    latitude: 'latitude?',
+    longitude: 'longitude?',
+    state: 'state',
+    region: 'string?',
+    sector: 'sector',
+    termRuleSeriesId: 'slug',
+    termOverrides: '[termOverride]?',
+  },
+  termOverride: { year: 'integer', term: 'integer', start_date: 'date?', end_date: 'date?' },
+  // events.json: [event]
+  event: {
+    id: 'slug',
+    school_id: 'slug',
+    event_date: 'date',
+    end_date: 'date?',
+    event_type: 'string',
+    name: 'string',
+    description: 'string?',
+    is_closure: 'boolean',
+    year_levels: '[yearLevel]?',
+    rrule: 'rrule?',
+    exdates: '[date]?',
+  },
+};
+
+const checkValue = (value, spec, path, errors) => {
+  const optional = spec.endsWith('?');
+  const type = optional ? spec.slice(0, -1) : spec;
+
+  if (value === undefined || value === null) {
+    if (!optional) errors.push(`${path} is required`);
+    return;
+  }
+
+  if (type.startsWith('[')) {
+    if (!Array.isArray(value)) {
+      errors.push(`${path} must be an array`);
+      return;
+    }
+    value.forEach((item, index) => checkValue(item, type.slice(1, -1), `${path}[${index}]`, errors));
+    return;
+  }
+
+  if (SEED_SCHEMAS[type]) {
+    checkRecord(value, type, path, errors);
+    return;
+  }
+
+  const [check, expected] = TYPES[type];
+  if (!check(value)) errors.push(`${path} must be ${expected}, got ${JSON.stringify(value)}`);
+};
+
+const checkRecord = (record, schemaName, path, errors) => {
+  if (typeof record !== 'object' || Array.isArray(record)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  const schema = SEED_SCHEMAS[schemaName];
+  Object.keys(record)
+    .filter(key => !(key in schema))
+    .forEach(key => errors.push(`${path}.${key} is not a known ${schemaName} field`));
+  Object.entries(schema).forEach(([key, spec]) => checkValue(record[key], spec, `${path}.${key}`, errors));
+};
+
+const checkUniqueIds = (records, path, errors) => {
+  const seen = new Set();
+  records.forEach(record => {
+    if (seen.has(record.id)) errors.push(`${path}: duplicate id "${record.id}"`);
+    seen.add(record.id);
+  });
+};
+
+/**
+ * Validate the seed data files
+ * Checks every record against SEED_SCHEMAS, then the references between them:
+ * unique IDs, each school's term calendar (same state and sector) and term
+ * overrides, each event's school, and dates that run forwards.
+ *
+ * @param {Object} data
+ * @param {Object} data.termDates - termDates.json
+ * @param {Array} data.schools - schools.json
+ * @param {Array} data.events - events.json
+ * @returns {string[]} - One message per problem; empty when the data is valid
+ */
+export const validateSeedData = ({ termDates, schools, events }) => {
+  const errors = [];
+
+  if (typeof termDates !== 'object' || termDates === null || Array.isArray(termDates)) {
+    return ['termDates.json must be an object keyed by series id'];
+  }
+  if (!Array.isArray(schools)) return ['schools.json must be an array'];
+  if (!Array.isArray(events)) return ['events.json must be an array'];
+
+  const series = Object.entries(termDates);
+  series.forEach(([key, entry]) => checkRecord(entry, 'termSeries', `termDates.${key}`, errors));
+  schools.forEach((school, index) => checkRecord(school, 'school', `schools[${index}]`, errors));
+  events.forEach((event, index) => checkRecord(event, 'event', `events[${index}]`, errors));
+
+  // References are only worth checking once every record has the right shape
+  if (errors.length > 0) return errors;
+
+  series.forEach(([key, entry]) => {
+    if (entry.id !== key) errors.push(`termDates.${key}: id "${entry.id}" does not match its key`);
+    entry.rules.forEach(rule => {
+      rule.terms.forEach(term => {
+        if (term.end_date < term.start_date) {
+          errors.push(`termDates.${key}: ${rule.year} term ${term.term} ends before it starts`);
+        }
+      });
+      rule.terms.slice(1).forEach((term, index) => {
+        if (term.start_date <= rule.terms[index].end_date) {
+          errors.push(`termDates.${key}: ${rule.year} term ${term.term} starts before term ${rule.terms[index].term} ends`);
+        }
+      });
+    });
+  });
+  checkUniqueIds(series.flatMap(([, entry]) => entry.rules), 'termDates rules', errors);
+  checkUniqueIds(schools, 'schools.json', errors);
+  checkUniqueIds(events, 'events.json', errors);
+
+  schools.forEach(school => {
+    const calendar = termDates[school.termRuleSeriesId];
+    if (!calendar) {
+      errors.push(`schools.json: ${school.id} uses unknown term calendar "${school.termRuleSeriesId}"`);
+      return;
+    }
+    if (calendar.state !== school.state || calendar.sector !== school.sector) {
+      errors.push(`schools.json: ${school.id} is a ${school.state} ${school.sector} school but uses the ${calendar.state} ${calendar.sector} calendar "${calendar.id}"`);
+    }
+    try {
+      applyTermOverrides(calendar.rules, school.termOverrides || []);
+    } catch (error) {
+      errors.push(`schools.json: ${school.id}: ${error.message}`);
+    }
+  });
+
+  const schoolIds = new Set(schools.map(school => school.id));
+  events.forEach(event => {
+    if (!schoolIds.has(event.school_id)) {
+      errors.push(`events.json: ${event.id} belongs to unknown school "${event.school_id}"`);
+    }
+    if (event.end_date && event.end_date < event.event_date) {
+      errors.push(`events.json: ${event.id} ends before it starts`);
+    }
+    if (event.exdates && !event.rrule) {
+      errors.push(`events.json: ${event.id} has exdates but no rrule`);
+    }
+  });
+
+  return errors;
+};
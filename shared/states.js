@@ -0,0 +1,69 @@
+/**
+ * Per-state settings - pure data, no I/O
+ * Everything that differs by state or territory apart from term dates and
+ * public holidays: where the weather forecast is taken and where emergency
+ * closures are published. Term dates live in the term rule series and public
+ * holidays in shared/holidays.js, both keyed by the same state codes.
+ */
+
+// Weather uses the capital city unless noted. `emergency` is the page the
+// backend scrapes for closures, or null where no public closures list exists.
+export const STATES = {
+  QLD: {
+    name: 'Queensland',
+    timezone: 'Australia/Brisbane',
+    weather: { place: 'The Gap', latitude: -27.4435, longitude: 152.9436 },
+    emergency: { name: 'Queensland school closures', url: 'https://closures.qld.edu.au/' },
+  },
+  NSW: {
+    name: 'New South Wales',
+    timezone: 'Australia/Sydney',
+    weather: { place: 'Sydney', latitude: -33.8688, longitude: 151.2093 },
+    emergency: null,
+  },
+  VIC: {
+    name: 'Victoria',
+    timezone: 'Australia/Melbourne',
+    weather: { place: 'Melbourne', latitude: -37.8136, longitude: 144.9631 },
+    emergency: null,
+  },
+  SA: {
+    name: 'South Australia',
+    timezone: 'Australia/Adelaide',
+    weather: { place: 'Adelaide', latitude: -34.9285, longitude: 138.6007 },
+    emergency: null,
+  },
+  WA: {
+    name: 'Western Australia',
+    timezone: 'Australia/Perth',
+    weather: { place: 'Perth', latitude: -31.9523, longitude: 115.8613 },
+    emergency: null,
+  },
+  TAS: {
+    name: 'Tasmania',
+    timezone: 'Australia/Hobart',
+    weather: { place: 'Hobart', latitude: -42.8821, longitude: 147.3272 },
+    emergency: null,
+  },
+  NT: {
+    name: 'Northern Territory',
+    timezone: 'Australia/Darwin',
+    weather: { place: 'Darwin', latitude: -12.4634, longitude: 130.8456 },
+    emergency: null,
+  },
+  ACT: {
+    name: 'Australian Capital Territory',
+    timezone: 'Australia/Sydney',
+    weather: { place: 'Canberra', latitude: -35.2809, longitude: 149.13 },
+    emergency: null,
+  },
+};
+
+export const STATE_CODES = Object.keys(STATES);
+
+/**
+ * Settings for a state code, falling back to Queensland for unknown codes
+ * (every school seeded before other states were added is in QLD)
+ * @param {string} state - State code, e.g. 'NSW'
+ */
+export const getStateConfig = (state) => STATES[state] || STATES.QLD;
@@ -0,0 +1,657 @@
+/**
+ * Shared school status engine - pure functions, no I/O
+ * The backend feeds it from SQLite and the frontend from the JSON bundles,
+ * so both sides always give the same answer for the same data.
+ *
+ * Priority order:
+ * 1. School Events (is_closure = true)
+ * 2. Public Holidays
+ * 3. Weekends (Saturday/Sunday)
+ * 4. Term Dates (within term = open)
+ * 5. Fallback - outside all terms = School Holidays
+ */
+
+import { addDays, daysBetween, getDayOfWeek, isWeekend } from './dates.js';
+import { expandEventDates } from './recurrence.js';
+
+// Date helpers are part of the engine's public surface
+export { toDateString, addDays, daysBetween, getDayOfWeek } from './dates.js';
+
+// Rule identifiers reported with every evaluated day
+export const RULES = {
+  SCHOOL_EVENT: 'school_event',
+  PUBLIC_HOLIDAY: 'public_holiday',
+  WEEKEND: 'weekend',
+  TERM: 'term',
+  SCHOOL_HOLIDAYS: 'school_holidays',
+};
+
+// Year levels an event can target (0 = Prep)
+export const YEAR_LEVELS = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+
+// School sectors; each has its own term calendar (C&K kindergartens are 'kindy')
+export const SECTORS = ['state', 'catholic', 'independent', 'kindy'];
+
+/**
+ * Parse a year level from user input ("prep", "P", "0".."12")
+ * @param {string|number|null|undefined} value
+ * @returns {number|null|undefined} - Year level, null when not given, undefined when invalid
+ */
+export const parseYearLevel = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'string' && /^(p|prep)$/i.test(value.trim())) return 0;
+  const level = Number(value);
+  return YEAR_LEVELS.includes(level) ? level : undefined;
+};
+
+/**
+ * Display label for a year level (0 -> "Prep", 7 -> "Year 7")
+ */
+export const formatYearLevel = (level) => (level === 0 ? 'Prep' : `Year ${level}`);
+
+/**
+ * Whether an event applies to a student in the given year level
+ * Events without year_levels apply to the whole school. Cohort events only
+ * apply when the caller's year level is one they target.
+ *
+ * @param {Object} event - Event row (year_levels: number[]|null)
+ * @param {number|null} yearLevel - Year level, or null when unknown
+ */
+export const eventAppliesTo = (event, yearLevel) => {
+  if (!Array.isArray(event.year_levels) || event.year_levels.length === 0) return true;
+  return yearLevel !== null && yearLevel !== undefined && event.year_levels.includes(yearLevel);
+};
+
+/**
+ * Whether a public holiday applies to a school
+ * Holidays are declared per state; regional ones (show days, e.g. the Ekka in
+ * Brisbane) also name the region they cover and only apply to schools there.
+ *
+ * @param {Object} holiday - Holiday row (state, region: string|null)
+ * @param {Object} school - School row (state, region: string|null)
+ */
+export const holidayAppliesTo = (holiday, school) => {
+  if (holiday.state !== school.state) return false;
+  return !holiday.region || holiday.region === school.region;
+};
+
+const SHORT_DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const SHORT_MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Short, locale-independent label for a date, e.g. "Sat 26 Dec"
+ */
+const formatShortDate = (dateStr) => (
+  `${SHORT_DAY_NAMES[getDayOfWeek(dateStr)]} ${Number(dateStr.slice(8, 10))} ${SHORT_MONTH_NAMES[Number(dateStr.slice(5, 7)) - 1]}`
+);
+
+/**
+ * Whether a holiday's substitution rule gives it an observed weekday
+ * `substitute` is 'weekend' (moves off Saturday or Sunday) or 'sunday' (only off Sunday).
+ */
+const needsSubstitute = (holiday) => {
+  if (holiday.substitute === 'weekend') return isWeekend(holiday.holiday_date);
+  if (holiday.substitute === 'sunday') return getDayOfWeek(holiday.holiday_date) === 0;
+  return false;
+};
+
+/**
+ * Add the observed weekday for every holiday that falls on a weekend its rule substitutes
+ * Observed days go to the next weekday that isn't already a holiday, in date order,
+ * so Christmas on a Saturday is observed on Monday and Boxing Day on Tuesday.
+ * Both the gazetted and the observed entry get a reason naming both dates.
+ *
+ * @param {Array<Object>} holidays - Holiday rows (holiday_date, name, substitute?)
+ * @returns {Array<Object>} - The rows plus one observed row per substituted holiday
+ */
+export const applyHolidaySubstitutes = (holidays) => {
+  const taken = new Set(holidays.map(holiday => holiday.holiday_date));
+  const result = [];
+
+  [...holidays]
+    .sort((a, b) => a.holiday_date.localeCompare(b.holiday_date))
+    .forEach(holiday => {
+      if (!needsSubstitute(holiday)) {
+        result.push(holiday);
+        return;
+      }
+
+      let observed = addDays(holiday.holiday_date, 1);
+      while (isWeekend(observed) || taken.has(observed)) observed = addDays(observed, 1);
+      taken.add(observed);
+
+      const reason = `${holiday.name} (${formatShortDate(holiday.holiday_date)}, observed ${formatShortDate(observed)})`;
+      result.push({ ...holiday, observed_date: observed, reason });
+      result.push({
+        ...holiday,
+        holiday_date: observed,
+        name: `${holiday.name} (Additional Day)`,
+        observed_for: holiday.holiday_date,
+        reason,
+      });
+    });
+
+  return result;
+};
+
+/**
+ * Apply a school's own term boundaries on top of its sector calendar
+ * A school inherits every term from the sector's rule and only overrides the
+ * boundaries it lists, e.g. { year: 2026, term: 4, end_date: '2026-12-03' }.
+ * Overrides for years that aren't loaded are ignored.
+ *
+ * @param {Array<{year: number, terms: Array<{term: number, start_date: string, end_date: string}>}>} termRules - Sector calendar
+ * @param {Array<{year: number, term: number, start_date?: string, end_date?: string}>} overrides
+ * @returns {Array} - Term rules with the overrides applied (the input is not modified)
+ */
+export const applyTermOverrides = (termRules, overrides = []) => termRules.map(rule => {
+  const yearOverrides = overrides.filter(override => Number(override.year) === Number(rule.year));
+  if (yearOverrides.length === 0) return rule;
+
+  const ruleTerms = Array.isArray(rule.terms) ? rule.terms : [];
+  yearOverrides.forEach(override => {
+    if (!ruleTerms.some(term => term.term === override.term)) {
+      throw new Error(`Term override for Term ${override.term} ${rule.year}: the sector calendar has no such term`);
+    }
+  });
+
+  const terms = ruleTerms.map(term => {
+    const override = yearOverrides.find(o => o.term === term.term);
+    if (!override) return term;
+    const merged = {
+      ...term,
+      start_date: override.start_date || term.start_date,
+      end_date: override.end_date || term.end_date,
+    };
+    if (merged.end_date < merged.start_date) {
+      throw new Error(`Term override for Term ${term.term} ${rule.year} ends before it starts`);
+    }
+    return merged;
+  });
+
+  return { ...rule, terms };
+});
+
+/**
+ * Build an indexed calendar from raw rows
+ * Row shapes match the database columns so the backend can pass query results straight in.
+ *
+ * @param {Object} data
+ * @param {Array<{year: number, terms: Array<{term: number, start_date: string, end_date: string}>}>} data.termRules - The sector calendar
+ * @param {Array<{year: number, term: number, start_date?: string, end_date?: string}>} [data.termOverrides] - The school's own term boundaries (see applyTermOverrides)
+ * @param {Array<{holiday_date: string, name: string, substitute?: string|null}>} data.holidays - Gazetted dates; observed weekdays are derived
+ * @param {Array<{event_date: string, end_date?: string|null, name: string, event_type?: string, description?: string, is_closure: boolean|number, year_levels?: number[]|null, rrule?: string|null, exdates?: string[]|null}>} data.events - Recurring events are expanded to one entry per occurrence; an event with an end_date covers every day from event_date to end_date
+ * @returns {Object} - Calendar accepted by evaluateDate / getStatus
+ */
+export const createCalendar = ({ termRules = [], termOverrides = [], holidays = [], events = [] }) => {
+  const termsByYear = new Map();
+  applyTermOverrides(termRules, termOverrides).forEach(rule => {
+    termsByYear.set(Number(rule.year), Array.isArray(rule.terms) ? rule.terms : []);
+  });
+
+  // Every term of every year as one sorted list of intervals, for next-change lookups
+  const terms = [...termsByYear.values()]
+    .flat()
+    .sort((a, b) => a.start_date.localeCompare(b.start_date));
+
+  // Keep the first row per date, matching the LIMIT 1 lookups the backend used to do
+  const holidaysByDate = new Map();
+  applyHolidaySubstitutes(holidays).forEach(holiday => {
+    if (!holidaysByDate.has(holiday.holiday_date)) holidaysByDate.set(holiday.holiday_date, holiday);
+  });
+
+  // Open-ended recurring events run to the end of the last year with term dates or
+  // events; a calendar with neither has nothing to expand and no horizon
+  const years = [...termsByYear.keys(), ...events.map(event => Number(event.event_date.slice(0, 4)))];
+  const horizon = years.length > 0 ? `${Math.max(...years)}-12-31` : null;
+
+  // Which events count depends on the year level asked about, so keep them all per date.
+  // A multi-day event is listed under each of its days, as one occurrence with its full range.
+  const eventsByDate = new Map();
+  events.forEach(event => {
+    const length = event.end_date ? daysBetween(event.event_date, event.end_date) : 0;
+    if (length < 0) {
+      throw new Error(`Event "${event.name}" ends (${event.end_date}) before it starts (${event.event_date})`);
+    }
+
+    expandEventDates(event, { horizon, terms }).forEach(startDate => {
+      const occurrence = { ...event, event_date: startDate, end_date: addDays(startDate, length) };
+      for (let dateStr = startDate; dateStr <= occurrence.end_date; dateStr = addDays(dateStr, 1)) {
+        if (!eventsByDate.has(dateStr)) eventsByDate.set(dateStr, []);
+        eventsByDate.get(dateStr).push(occurrence);
+      }
+    });
+  });
+
+  return {
+    termsByYear,
+    terms,
+    holidaysByDate,
+    eventsByDate,
+    holidayDates: [...holidaysByDate.keys()].sort(),
+    eventDates: [...eventsByDate.keys()].sort(),
+  };
+};
+
+/**
+ * Whether the calendar holds term dates for the year of a date
+ * Dates outside the loaded years cannot be answered.
+ */
+export const hasTermRule = (dateStr, calendar) => calendar.termsByYear.has(Number(dateStr.slice(0, 4)));
+
+/**
+ * Closure event for a date that applies to the year level, if any
+ */
+const findClosure = (dateStr, calendar, yearLevel) => {
+  const events = calendar.eventsByDate.get(dateStr) || [];
+  return events.find(event => event.is_closure && eventAppliesTo(event, yearLevel));
+};
+
+/**
+ * Events listed alongside the status on a date: non-closure events (sports
+ * carnivals, exam blocks, photo days...), plus cohort closures when no year
+ * level was given, so parents still see "Year 12 Study Day" for the whole school.
+ *
+ * @returns {Array<{name: string, event_type: string, description: string|null, is_closure: boolean, year_levels: number[]|null, start_date: string, end_date: string}>}
+ */
+export const getNoticesForDate = (dateStr, calendar, yearLevel = null) => {
+  const events = calendar.eventsByDate.get(dateStr) || [];
+  return events
+    .filter(event => {
+      if (eventAppliesTo(event, yearLevel)) return !event.is_closure;
+      // Other cohorts' events only matter when no year level was given
+      return yearLevel === null;
+    })
+    .map(event => ({
+      name: event.name,
+      event_type: event.event_type,
+      description: event.description || null,
+      is_closure: Boolean(event.is_closure),
+      year_levels: Array.isArray(event.year_levels) && event.year_levels.length > 0 ? event.year_levels : null,
+      start_date: event.event_date,
+      end_date: event.end_date,
+    }));
+};
+
+/**
+ * Apply the priority rules to a single day
+ */
+const resolveStatus = (dateStr, calendar, yearLevel) => {
+  // STEP 1: School events (highest priority)
+  const event = findClosure(dateStr, calendar, yearLevel);
+  if (event) {
+    return { date: dateStr, status: 'Closed', reason: event.name, rule: RULES.SCHOOL_EVENT };
+  }
+
+  // STEP 2: Public holidays
+  const holiday = calendar.holidaysByDate.get(dateStr);
+  if (holiday) {
+    return { date: dateStr, status: 'Closed', reason: holiday.reason || holiday.name, rule: RULES.PUBLIC_HOLIDAY };
+  }
+
+  // STEP 3: Weekends
+  if (isWeekend(dateStr)) {
+    const dayOfWeek = getDayOfWeek(dateStr);
+    return { date: dateStr, status: 'Closed', reason: dayOfWeek === 0 ? 'Sunday' : 'Saturday', rule: RULES.WEEKEND };
+  }
+
+  // STEP 4: Term dates for the year of the date
+  const year = Number(dateStr.slice(0, 4));
+  const terms = calendar.termsByYear.get(year);
+  if (!terms) {
+    return { date: dateStr, status: 'Error', reason: `Term dates not configured for ${year}`, rule: RULES.TERM };
+  }
+
+  // Direct string comparison works for YYYY-MM-DD format
+  for (const term of terms) {
+    if (dateStr >= term.start_date && dateStr <= term.end_date) {
+      return { date: dateStr, status: 'Open', reason: `Term ${term.term}`, rule: RULES.TERM, term: term.term };
+    }
+  }
+
+  // STEP 5: Fallback - outside all terms = School Holidays
+  return { date: dateStr, status: 'Closed', reason: 'School Holidays', rule: RULES.SCHOOL_HOLIDAYS };
+};
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Trace of every rule evaluated for a day, in priority order
+ * Unlike resolveStatus it never stops early, so a disputed answer can be checked
+ * rule by rule: which events and holidays matched, whether it was a weekend,
+ * which term window matched, and which rule won.
+ *
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {Object} calendar - From createCalendar
+ * @param {number|null} yearLevel - Year level (0 = Prep), null for the whole school
+ * @returns {{decidedBy: string, steps: Array<Object>}}
+ */
+export const explainDate = (dateStr, calendar, yearLevel = null) => {
+  const events = (calendar.eventsByDate.get(dateStr) || []).map(event => ({
+    name: event.name,
+    event_type: event.event_type,
+    is_closure: Boolean(event.is_closure),
+    year_levels: Array.isArray(event.year_levels) && event.year_levels.length > 0 ? event.year_levels : null,
+    start_date: event.event_date,
+    end_date: event.end_date,
+    applies: eventAppliesTo(event, yearLevel),
+  }));
+  const holiday = calendar.holidaysByDate.get(dateStr);
+  const year = Number(dateStr.slice(0, 4));
+  const terms = calendar.termsByYear.get(year);
+  const term = terms ? terms.find(t => dateStr >= t.start_date && dateStr <= t.end_date) : undefined;
+
+  const steps = [
+    {
+      priority: 1,
+      rule: RULES.SCHOOL_EVENT,
+      matched: events.some(event => event.is_closure && event.applies),
+      events,
+    },
+    {
+      priority: 2,
+      rule: RULES.PUBLIC_HOLIDAY,
+      matched: Boolean(holiday),
+      holidays: holiday ? [{
+        name: holiday.name,
+        holiday_date: holiday.holiday_date,
+        region: holiday.region || null,
+        observed_date: holiday.observed_date || null,
+        observed_for: holiday.observed_for || null,
+      }] : [],
+    },
+    {
+      priority: 3,
+      rule: RULES.WEEKEND,
+      matched: isWeekend(dateStr),
+      dayOfWeek: DAY_NAMES[getDayOfWeek(dateStr)],
+    },
+    {
+      priority: 4,
+      rule: RULES.TERM,
+      matched: Boolean(term),
+      year,
+      termRuleFound: Boolean(terms),
+      term: term ? { term: term.term, start_date: term.start_date, end_date: term.end_date } : null,
+    },
+    {
+      priority: 5,
+      rule: RULES.SCHOOL_HOLIDAYS,
+      matched: Boolean(terms) && !term,
+    },
+  ];
+
+  return {
+    decidedBy: resolveStatus(dateStr, calendar, yearLevel).rule,
+    steps,
+  };
+};
+
+/**
+ * Evaluate the status of a single day
+ * Notices for the date are listed in `events` whatever the status.
+ *
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {Object} calendar - From createCalendar
+ * @param {Object} [options]
+ * @param {number|null} [options.yearLevel] - Answer for a student in this year level (0 = Prep)
+ * @param {boolean} [options.explain] - Include the full rule trace as `explanation`
+ * @returns {{date: string, status: 'Open'|'Closed'|'Error', reason: string, rule: string, term?: number, events: Array, explanation?: Object}}
+ */
+export const evaluateDate = (dateStr, calendar, { yearLevel = null, explain = false } = {}) => ({
+  ...resolveStatus(dateStr, calendar, yearLevel),
+  events: getNoticesForDate(dateStr, calendar, yearLevel),
+  ...(explain ? { explanation: explainDate(dateStr, calendar, yearLevel) } : {}),
+});
+
+/**
+ * Dates closed by a public holiday or by a closure event that applies to the year level, sorted
+ */
+const getClosureDates = (calendar, yearLevel) => {
+  const dates = new Set(calendar.holidayDates);
+  calendar.eventDates.forEach(dateStr => {
+    if (findClosure(dateStr, calendar, yearLevel)) dates.add(dateStr);
+  });
+  return [...dates].sort();
+};
+
+/**
+ * Whether every year from one date to another has term dates
+ * Answers that jump over a year we know nothing about cannot be trusted.
+ */
+const coversYears = (fromDate, toDate, calendar) => {
+  for (let year = Number(fromDate.slice(0, 4)); year <= Number(toDate.slice(0, 4)); year++) {
+    if (!calendar.termsByYear.has(year)) return false;
+  }
+  return true;
+};
+
+/**
+ * First open day after startDate
+ * Walks the sorted term intervals once, jumping over weekends and closure dates inside them.
+ */
+const findNextOpenDate = (startDate, calendar, closureDates) => {
+  const closed = new Set(closureDates);
+
+  for (const term of calendar.terms) {
+    if (term.end_date <= startDate) continue;
+
+    let dateStr = term.start_date > startDate ? term.start_date : addDays(startDate, 1);
+    while (dateStr <= term.end_date) {
+      if (isWeekend(dateStr)) {
+        dateStr = addDays(dateStr, getDayOfWeek(dateStr) === 6 ? 2 : 1);
+      } else if (closed.has(dateStr)) {
+        dateStr = addDays(dateStr, 1);
+      } else {
+        return coversYears(startDate, dateStr, calendar) ? dateStr : null;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * First closed day after startDate, for a startDate that is open
+ * The earliest of: the next Saturday, the next closure date, the day after the term ends.
+ */
+const findNextClosedDate = (startDate, calendar, closureDates, yearLevel) => {
+  let dateStr = startDate;
+
+  // Repeat only when a term is immediately followed by another one
+  for (;;) {
+    const term = calendar.terms.find(t => dateStr >= t.start_date && dateStr <= t.end_date);
+    if (!term) return addDays(dateStr, 1);
+
+    const candidates = [
+      addDays(dateStr, 6 - getDayOfWeek(dateStr)),
+      addDays(term.end_date, 1),
+    ];
+    const nextClosure = closureDates.find(closureDate => closureDate > dateStr);
+    if (nextClosure) candidates.push(nextClosure);
+
+    const next = candidates.sort()[0];
+    if (resolveStatus(next, calendar, yearLevel).status !== 'Open') return next;
+    dateStr = next;
+  }
+};
+
+/**
+ * Find the next date when the school status changes, and the last day of the current period
+ * Computed from the sorted term, holiday and event intervals rather than day by day,
+ * so there is no look-ahead limit - only the years the calendar holds term dates for.
+ *
+ * `closureEnd` is the last day of the closure event the countdown is about: the one
+ * closing the school on startDate, or, when open, the one that closes it next.
+ *
+ * @param {string} startDate - Starting date in YYYY-MM-DD format
+ * @param {Object} calendar - From createCalendar
+ * @param {string} currentStatus - 'Open' or 'Closed'
+ * @param {Object} [options] - { yearLevel }
+ * @returns {{date: string|null, label: string|null, reason: string|null, term?: number, periodEnd: string|null, closureEnd: string|null}}
+ */
+export const findNextChange = (startDate, calendar, currentStatus, { yearLevel = null } = {}) => {
+  const closureDates = getClosureDates(calendar, yearLevel);
+  const date = currentStatus === 'Open'
+    ? findNextClosedDate(startDate, calendar, closureDates, yearLevel)
+    : findNextOpenDate(startDate, calendar, closureDates);
+
+  if (!date) {
+    return { date: null, label: null, reason: null, periodEnd: null, closureEnd: null };
+  }
+
+  const day = resolveStatus(date, calendar, yearLevel);
+  const closure = findClosure(currentStatus === 'Open' ? date : startDate, calendar, yearLevel);
+
+  return {
+    date,
+    label: currentStatus === 'Open' ? 'Holidays start in...' : 'School starts in...',
+    reason: day.reason,
+    term: day.term,
+    periodEnd: addDays(date, -1),
+    closureEnd: closure ? closure.end_date : null,
+  };
+};
+
+/**
+ * Complete status for a day, including the next change date
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {Object} calendar - From createCalendar
+ * @param {Object} [options] - { yearLevel, explain }
+ * @returns {Object} - evaluateDate result plus nextChangeDate, countdownLabel, nextChangeReason, periodEnd, closureEnd
+ */
+export const getStatus = (dateStr, calendar, options = {}) => {
+  const day = evaluateDate(dateStr, calendar, options);
+
+  if (day.status === 'Error') {
+    return day;
+  }
+
+  const nextChange = findNextChange(dateStr, calendar, day.status, { yearLevel: options.yearLevel });
+
+  return {
+    ...day,
+    nextChangeDate: nextChange.date,
+    countdownLabel: nextChange.label,
+    nextChangeReason: nextChange.reason,
+    periodEnd: nextChange.periodEnd,
+    closureEnd: nextChange.closureEnd,
+  };
+};
+
+/**
+ * Evaluate every day in a date range (inclusive)
+ * @param {Object} [options] - { yearLevel }
+ * @returns {Array<{date: string, status: string, reason: string, rule: string, events: Array}>}
+ */
+export const evaluateRange = (fromDate, toDate, calendar, options = {}) => {
+  const days = [];
+  for (let dateStr = fromDate; dateStr <= toDate; dateStr = addDays(dateStr, 1)) {
+    days.push(evaluateDate(dateStr, calendar, options));
+  }
+  return days;
+};
+
+/**
+ * Number of school days (Open days) from one date to another, inclusive
+ * Only days inside a term can be open, so just the term intervals are walked.
+ * @param {Object} [options] - { yearLevel }
+ * @returns {number|null} - null when a year in the range has no term dates
+ */
+export const countSchoolDays = (fromDate, toDate, calendar, { yearLevel = null } = {}) => {
+  if (toDate < fromDate) return 0;
+  if (!coversYears(fromDate, toDate, calendar)) return null;
+
+  let count = 0;
+  calendar.terms.forEach(term => {
+    const start = term.start_date > fromDate ? term.start_date : fromDate;
+    const end = term.end_date < toDate ? term.end_date : toDate;
+    for (let dateStr = start; dateStr <= end; dateStr = addDays(dateStr, 1)) {
+      if (resolveStatus(dateStr, calendar, yearLevel).status === 'Open') count++;
+    }
+  });
+  return count;
+};
+
+/**
+ * Where a date sits in its school year: "week N of Term X" and school days done and to go
+ * `elapsed` counts the date itself when it is a school day; `remaining` starts the day after.
+ * Each term also reports `untilEnd`, the school days left from the day after `dateStr`
+ * to that term's last day, which answers "how many school days until the end of Term 4".
+ *
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {Object} calendar - From createCalendar
+ * @param {Object} [options] - { yearLevel }
+ * @returns {Object|null} - { date, year, term, nextTerm, schoolYear, terms }, or null without term dates for the year
+ */
+export const getTermProgress = (dateStr, calendar, options = {}) => {
+  const year = Number(dateStr.slice(0, 4));
+  const yearTerms = calendar.termsByYear.get(year);
+  if (!yearTerms || yearTerms.length === 0) return null;
+
+  const terms = [...yearTerms].sort((a, b) => a.start_date.localeCompare(b.start_date));
+  const nextDay = addDays(dateStr, 1);
+  const count = (fromDate, toDate) => countSchoolDays(fromDate, toDate, calendar, options);
+
+  const current = terms.find(term => dateStr >= term.start_date && dateStr <= term.end_date);
+  const next = terms.find(term => term.start_date > dateStr);
+
+  // Term weeks run Monday to Sunday, starting with the week the term starts in
+  const weekOf = (term, day) => Math.floor(daysBetween(addDays(term.start_date, -((getDayOfWeek(term.start_date) + 6) % 7)), day) / 7) + 1;
+
+  const yearStart = terms[0].start_date;
+  const yearEnd = terms[terms.length - 1].end_date;
+  const yearElapsed = count(yearStart, dateStr);
+  const yearRemaining = count(nextDay, yearEnd);
+
+  return {
+    date: dateStr,
+    year,
+    term: current ? {
+      term: current.term,
+      start_date: current.start_date,
+      end_date: current.end_date,
+      week: weekOf(current, dateStr),
+      weeks: weekOf(current, current.end_date),
+      schoolDays: {
+        elapsed: count(current.start_date, dateStr),
+        remaining: count(nextDay, current.end_date),
+        total: count(current.start_date, current.end_date),
+      },
+    } : null,
+    nextTerm: !current && next ? { term: next.term, start_date: next.start_date } : null,
+    schoolYear: {
+      schoolDays: {
+        elapsed: yearElapsed,
+        remaining: yearRemaining,
+        total: yearElapsed + yearRemaining,
+      },
+    },
+    terms: terms.map(term => ({
+      term: term.term,
+      start_date: term.start_date,
+      end_date: term.end_date,
+      schoolDays: count(term.start_date, term.end_date),
+      untilEnd: count(nextDay, term.end_date),
+    })),
+  };
+};
+
+/**
+ * Combine several children's answers for one day into a household summary
+ * A mixed day is one where some of the household has school and some doesn't.
+ * @param {Array<string>} statuses - 'Open', 'Closed' or 'Error' per child
+ * @returns {{openCount: number, closedCount: number, anyOpen: boolean, allOpen: boolean, isMixed: boolean}}
+ */
+export const summarizeHousehold = (statuses) => {
+  const openCount = statuses.filter(status => status === 'Open').length;
+  const closedCount = statuses.filter(status => status === 'Closed').length;
+
+  return {
+    openCount,
+    closedCount,
+    anyOpen: openCount > 0,
+    allOpen: statuses.length > 0 && openCount === statuses.length,
+    isMixed: openCount > 0 && closedCount > 0,
+  };
+};